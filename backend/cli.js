@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+// backend/cli.js
+// Headless lineup builder: salary CSV in, lineups + DK upload CSV out, no web server.
+//   fantasy-sim optimize --csv DKSalaries.csv --sport NFL --count 150 --locks "Patrick Mahomes" --out upload.csv
+// Uses the same parser, rosters, request validation and optimizers as the API.
+// Exit codes: 0 ok, 1 bad input, 2 infeasible constraints (no lineup could be built).
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const {
+  parseSalaryCsv, poolContext, optimizeRequest, resolvePlayerControls, exposureShortfalls, generateLineups, solveLineupsExact,
+  withSeed, portfolioSummary, buildDKUploadCsv, fillDKEntriesCsv
+} = require("./server");
+
+const USAGE = `Usage: fantasy-sim optimize --csv <salaries.csv> [options]
+
+Input
+  --csv <file>              DK / FanDuel / Yahoo salary CSV (site auto-detected)
+  --site <DK|FD|YAHOO>      site hint for the CSV
+  --sport <NFL|NBA>         fail unless the CSV is this sport
+  --exclude-statuses <list> e.g. "O,IR,Q"; "none" keeps everyone (default O, IR, PUP, SUSP, NA)
+
+Lineups
+  --count <n>               lineups to build (default 20)
+  --solver <greedy|exact>   default greedy
+  --locks <refs>            comma list of player ids or names
+  --excludes <refs>
+  --min-exposure <pct|ref=pct,...>
+  --max-exposure <pct|ref=pct,...>
+  --min-diff <n>            players that must differ between lineups
+  --max-per-team <n>
+  --salary-cap <n>
+  --noise <x>               greedy randomness (default 1.2)
+  --stack <rules>           e.g. "qb=2,bringBack=1,game=0"; --no-stack turns stacking off
+  --max-ownership <pct>     cap on summed projected ownership
+  --leverage <0-1>          GPP leverage weight
+  --rules <file.json>       custom rules, e.g. [{"type":"atMost","count":1,"players":["A","B"]}], or
+                            {"rules":[...],"gameTotals":{"BUF@KC":51.5}} for minGameTotal selectors
+  --seed <n|text>           reproducible run
+  --time-limit <seconds>    stop and keep what was built (default 120)
+
+Output
+  --out <file>              DK bulk-upload CSV
+  --entries <file>          DKEntries.csv to fill (written to --out)
+  --json                    print the lineups and summary as JSON
+  --quiet                   no summary table
+`;
+
+const OPTIONS = {
+  csv: { type: "string" }, site: { type: "string" }, sport: { type: "string" },
+  "exclude-statuses": { type: "string" },
+  count: { type: "string" }, solver: { type: "string" },
+  locks: { type: "string" }, excludes: { type: "string" },
+  "min-exposure": { type: "string" }, "max-exposure": { type: "string" },
+  "min-diff": { type: "string" }, "max-per-team": { type: "string" }, "salary-cap": { type: "string" },
+  noise: { type: "string" }, stack: { type: "string" }, "no-stack": { type: "boolean" },
+  "max-ownership": { type: "string" }, leverage: { type: "string" }, rules: { type: "string" },
+  seed: { type: "string" }, "time-limit": { type: "string" },
+  out: { type: "string" }, entries: { type: "string" }, json: { type: "boolean" }, quiet: { type: "boolean" },
+  help: { type: "boolean", short: "h" }
+};
+
+const num = (v, name) => {
+  if (v === undefined) return undefined;
+  const x = Number(v);
+  if (!Number.isFinite(x)) throw new Error(`--${name} must be a number (got "${v}")`);
+  return x;
+};
+// "20" -> 20 for everyone; "Mahomes=40,123456=10" -> { ref: pct }
+function exposure(v, name){
+  if (v === undefined) return undefined;
+  if (!v.includes("=")) return num(v, name);
+  return Object.fromEntries(v.split(",").map(part => {
+    const [ref, pct] = part.split("=").map(s => s.trim());
+    return [ref, num(pct, name)];
+  }));
+}
+// "qb=2,bringBack=1,game=0" -> { qb: 2, bringBack: 1, game: false }
+function stackRules(v, off){
+  if (off) return false;
+  if (v === undefined) return undefined;
+  return Object.fromEntries(v.split(",").map(part => {
+    const [key, val] = part.split("=").map(s => s.trim());
+    const x = num(val, "stack");
+    return [key, x > 0 ? x : false];
+  }));
+}
+// a rule array, or { rules, gameTotals, teamTotals } for rules that select by Vegas totals
+function rulesFile(file){
+  if (file === undefined) return {};
+  let data;
+  try { data = JSON.parse(fs.readFileSync(file, "utf8")); }
+  catch(e){ throw new Error(`--rules ${file}: ${e.message}`); }
+  return Array.isArray(data) ? { rules: data } : { rules: data?.rules, gameTotals: data?.gameTotals, teamTotals: data?.teamTotals };
+}
+const seedOf = (v) => v === undefined ? undefined : /^\d+$/.test(v) ? Number(v) : v;
+
+function constraintsFrom(o){
+  const c = {
+    numLineups: num(o.count, "count") ?? 20,
+    solver: o.solver,
+    locks: o.locks,
+    excludes: o.excludes,
+    minExposure: exposure(o["min-exposure"], "min-exposure"),
+    maxExposure: exposure(o["max-exposure"], "max-exposure"),
+    minDiff: num(o["min-diff"], "min-diff"),
+    maxPerTeam: num(o["max-per-team"], "max-per-team"),
+    salaryCap: num(o["salary-cap"], "salary-cap"),
+    noise: num(o.noise, "noise"),
+    stack: stackRules(o.stack, o["no-stack"]),
+    maxOwnership: num(o["max-ownership"], "max-ownership"),
+    leverage: num(o.leverage, "leverage"),
+    ...rulesFile(o.rules),
+    seed: seedOf(o.seed),
+    timeLimitMs: o["time-limit"] === undefined ? undefined : num(o["time-limit"], "time-limit") * 1000
+  };
+  return Object.fromEntries(Object.entries(c).filter(([, v]) => v !== undefined));
+}
+
+const pad = (v, w) => String(v).padEnd(w);
+const lpad = (v, w) => String(v).padStart(w);
+
+function printSummary(ctx, prep, lineups, summary, print){
+  const { sport, site, mode } = ctx;
+  const out = [];
+  out.push(`${sport} ${site} ${mode} · ${lineups.length}/${prep.count} lineups · ${prep.solver} · seed ${prep.seed}`);
+  out.push(`Projection avg ${summary.projection.mean} (min ${summary.projection.min}, max ${summary.projection.max}) · salary avg ${Math.round(summary.salary.mean)}`);
+  if (summary.overlap.pairs) out.push(`Overlap avg ${summary.overlap.avgShared} shared players, max ${summary.overlap.maxShared}`);
+  out.push("");
+  out.push(`${lpad("#", 4)}  ${lpad("Proj", 7)}  ${lpad("Salary", 7)}  ${pad("Stack", 6)}  Players`);
+  const shown = lineups.slice(0, 20);
+  shown.forEach((L, i) => {
+    const proj = L.lineup.reduce((s, p) => s + (p.proj || 0), 0).toFixed(2);
+    const salary = L.lineup.reduce((s, p) => s + p.salary, 0);
+    out.push(`${lpad(i + 1, 4)}  ${lpad(proj, 7)}  ${lpad(salary, 7)}  ${pad(L.stackTeam || "", 6)}  ${L.lineup.map(p => `${p.pos} ${p.name}`).join(", ")}`);
+  });
+  if (lineups.length > shown.length) out.push(`  … ${lineups.length - shown.length} more`);
+  out.push("");
+  out.push("Exposure");
+  for (const p of summary.players.slice(0, 15)) {
+    out.push(`  ${lpad(`${p.exposure}%`, 6)}  ${pad(p.name, 28)} ${pad(p.pos, 4)} ${p.team || ""}`);
+  }
+  if (summary.stacks.length) out.push(`Stacks  ${summary.stacks.slice(0, 8).map(s => `${s.team} ${s.exposure}%`).join(" · ")}`);
+  print(out.join("\n"));
+}
+
+function optimize(o){
+  if (!o.csv) throw new Error("--csv is required");
+  if (o.entries && !o.out) throw new Error("--entries needs --out for the filled file");
+  const csv = fs.readFileSync(o.csv, "utf8");
+  const parsed = parseSalaryCsv(csv, o.site);
+  if (!parsed.players.length) throw new Error(`No players parsed from ${o.csv}`);
+  if (o.sport && o.sport.toUpperCase() !== parsed.sport) throw new Error(`${o.csv} is a ${parsed.sport} slate, not ${o.sport.toUpperCase()}`);
+
+  const statuses = o["exclude-statuses"];
+  const ctx = poolContext(parsed, { excludeStatuses: statuses === undefined ? undefined : statuses.toLowerCase() === "none" ? [] : statuses });
+  if (ctx.error) throw new Error(ctx.error);
+  if (o.out && ctx.site !== "DK") throw new Error(`--out writes DK upload files; ${o.csv} is a ${ctx.site} slate`);
+
+  const prep = optimizeRequest({ constraints: constraintsFrom(o) }, { ...ctx, slate: null });
+  if (prep.reply) return { ctx, prep, lineups: [], error: prep.reply.error };
+  if (prep.error) return { ctx, prep, lineups: [], error: prep.error };
+  // unknown or conflicting player refs are bad input; only what the optimizer itself rejects is infeasible
+  const { errors } = resolvePlayerControls(prep.pool, prep.options);
+  if (errors.length) return { ctx, prep, lineups: [], error: errors.join("; ") };
+
+  const run = prep.solver === "exact" ? solveLineupsExact : generateLineups;
+  let lineups;
+  try {
+    lineups = withSeed(prep.seed, () => run(prep.pool, prep.roster, { ...prep.options, deadline: Date.now() + prep.timeLimitMs }));
+  } catch(e){
+    return { ctx, prep, lineups: [], error: String(e.message || e), infeasible: true };
+  }
+  return { ctx, prep, lineups };
+}
+
+// Results go to stdout; server.js load messages (console.log) and errors go to stderr
+const print = (text) => process.stdout.write(`${text}\n`);
+
+// console.log is pointed at stderr only while a command runs, so importers keep their stdout logging
+function main(argv){
+  const log = console.log;
+  console.log = console.error;
+  try { return command(argv); }
+  finally { console.log = log; }
+}
+
+function command(argv){
+  let parsed;
+  try { parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }); }
+  catch(e){ console.error(`${e.message}\n\n${USAGE}`); return 1; }
+  const { values: o, positionals } = parsed;
+  if (o.help || !positionals.length) { console.error(USAGE); return o.help ? 0 : 1; }
+  if (positionals[0] !== "optimize") { console.error(`Unknown command "${positionals[0]}"\n\n${USAGE}`); return 1; }
+
+  let result;
+  try { result = optimize(o); }
+  catch(e){
+    console.error(`fantasy-sim: ${e.message}`);
+    return 1;
+  }
+  const { ctx, prep, lineups, error, infeasible } = result;
+  if (error) {
+    console.error(`fantasy-sim: ${error}`);
+    return infeasible ? 2 : 1;
+  }
+  if (!lineups.length) {
+    console.error("fantasy-sim: no lineup satisfies the constraints (check locks, exposures, stacks and the salary cap)");
+    return 2;
+  }
+
+  const summary = portfolioSummary(lineups);
+  if (o.out) {
+    const file = path.resolve(o.out);
+    if (o.entries) {
+      const filled = fillDKEntriesCsv(fs.readFileSync(o.entries, "utf8"), lineups.map(L => L.lineup), prep.roster);
+      fs.writeFileSync(file, filled.csv);
+      console.error(`Filled ${filled.filled}/${filled.entries} entries -> ${file}`);
+    } else {
+      fs.writeFileSync(file, buildDKUploadCsv(lineups.map(L => L.lineup), prep.roster));
+      console.error(`Wrote ${lineups.length} lineups -> ${file}`);
+    }
+  }
+  if (o.json) print(JSON.stringify({ sport: ctx.sport, site: ctx.site, mode: ctx.mode, seed: prep.seed, lineups, summary }, null, 2));
+  // the table goes to stderr when stdout carries the JSON
+  if (!o.quiet) printSummary(ctx, prep, lineups, summary, o.json ? console.error : print);
+  if (lineups.length < prep.count) console.error(`Warning: built ${lineups.length} of ${prep.count} requested lineups`);
+  for (const s of exposureShortfalls(lineups, prep.pool, prep.options.minExposure))
+    console.error(`Warning: ${s.name} is in ${s.lineups} of ${lineups.length} lineups, short of minExposure ${s.minExposure}%`);
+  return 0;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
+
+module.exports = { main };
@@ -0,0 +1,18 @@
+// backend/optimize-worker.js
+// Worker thread for one optimisation job (see "Optimisation jobs" in server.js).
+// workerData: { solver: "greedy" | "exact", pool, roster, options }
+// Posts { type:"progress", found, attempts, lineup? }, then { type:"done", lineups } or { type:"error", error }.
+
+const { parentPort, workerData } = require("worker_threads");
+const { generateLineups, solveLineupsExact, withSeed } = require("./server");
+
+const { solver, pool, roster, options } = workerData;
+const run = solver === "exact" ? solveLineupsExact : generateLineups;
+
+try {
+  const onProgress = (p) => parentPort.postMessage({ type: "progress", ...p });
+  const lineups = withSeed(options.seed, () => run(pool, roster, { ...options, onProgress }));
+  parentPort.postMessage({ type: "done", lineups });
+} catch (e) {
+  parentPort.postMessage({ type: "error", error: String(e.message || e) });
+}
@@ -1,12 +1,33 @@
 // backend/server.js
 // Fantasy Sim Backend – NFL + NBA
-// DK CSV upload/URL + nflverse fallback (NFL)
+// DK / FanDuel / Yahoo salary CSV upload/URL + nflverse fallback (NFL)
 // Stochastic multi-lineup generator with strict slot filling
-// Injury filtering (OUT/IR/Q/DNP/PUP/INACTIVE/SUSP/RES)
+// Exact (integer programming) solver mode for provably optimal lineups
+// Monte Carlo contest simulator (correlated player outcomes vs synthetic field)
+// Showdown / Captain mode for single-game slates
+// Custom projection import: weighted multi-source blend + manual overrides
+// Named slates persisted on disk (pool + saved lineup sets per slate)
+// Normalised injury status (ACTIVE/Q/D/O/IR/…) with per-request status filters
+// Configurable stacks (QB+N, bring-back, game, team) with portfolio spread by team
+// Late swap of unstarted slots using Game Info start times
+// Projected ownership (imported or modelled) + GPP ownership caps / leverage objective
+// Opponent / home-away adjusted nflverse projections (defense vs position + schedule CSV)
+// Offline backtests: replay a past nflverse season week by week and score the lineups
+// Data-defined scoring systems (DK bonuses, FD / Yahoo / half PPR, custom via API)
+// Optimisation as background worker-thread jobs (SSE progress, cancel, time budget)
+// Seeded, reproducible runs with saved run history, exact re-runs and exposure diffs
+// Portfolio analytics for lineup sets (exposures, stacks, histograms, pairwise overlap)
+// Data-source adapters with per-source health; nflverse downloads cached on disk as a fallback
+// Custom lineup rules (atMost / atLeast / ifThen / never groups, hard or soft with penalties)
 
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Worker } = require("worker_threads");
 const express = require("express");
 const cors = require("cors");
 const Papa = require("papaparse");
+const lpSolver = require("javascript-lp-solver");
 
 // ----------------- Config -----------------
 const PORT            = process.env.PORT || 5000;
@@ -14,70 +35,194 @@ const ADMIN_TOKEN     = process.env.ADMIN_TOKEN || "Truetrenddfs4u!";
 const CORS_ORIGIN     = process.env.CORS_ORIGIN || "*";
 const DK_SALARIES_URL = process.env.DK_SALARIES_URL || "";   // optional public CSV URL
 const REFRESH_MS      = 6 * 60 * 60 * 1000; // 6 hours
+const CONTESTS_FILE   = process.env.CONTESTS_FILE || path.join(__dirname, "data", "contests.sample.json");
+const STORE_DIR       = process.env.STORE_DIR || path.join(__dirname, "data", "store"); // saved slates + projections
+const NFLVERSE_DIR    = process.env.NFLVERSE_DIR || path.join(__dirname, "data", "nflverse"); // local season CSVs for backtests
+const SCHEDULE_FILE   = process.env.SCHEDULE_FILE || path.join(NFLVERSE_DIR, "games.csv"); // nflverse schedule for matchups
+const NFLVERSE_CACHE_DIR  = process.env.NFLVERSE_CACHE_DIR || path.join(STORE_DIR, "cache", "nflverse"); // downloaded release CSVs
+const NFLVERSE_OFFLINE    = process.env.NFLVERSE_OFFLINE === "1";                 // skip GitHub, use cache / NFLVERSE_DIR
+const NFLVERSE_TIMEOUT_MS = Number(process.env.NFLVERSE_TIMEOUT_MS || 30000);
+const MAX_RUNNING_JOBS  = Number(process.env.MAX_RUNNING_JOBS || 2);          // optimizer worker threads at once
+const JOB_TIME_LIMIT_MS = Number(process.env.JOB_TIME_LIMIT_MS || 120000);    // default time budget per optimize job
 
 // ----------------- App --------------------
 const app = express();
-app.use(cors({ origin: CORS_ORIGIN }));
+app.use(cors({ origin: CORS_ORIGIN, exposedHeaders: ["X-Entries-Filled", "X-Entries-Total"] }));
 app.use(express.json({ limit: "20mb" }));
 
 // ----------------- State ------------------
-let PLAYERS = [];         // {id,name,team,pos,proj,salary,sport}
+let PLAYERS = [];         // {id,name,team,pos,proj,salary,sport,site}
 let LAST_REFRESH = null;
+let LAST_DATA_AT = null;  // when the live pool's data was fetched (older than LAST_REFRESH for cached nflverse)
 let LAST_SOURCE  = null;
 let CURRENT_SPORT = "NFL";
+let CURRENT_SITE  = "DK";
+let CURRENT_MODE  = "classic";   // "classic" | "showdown"
+let NFLVERSE_SCORING = null;     // scoring system of the live nflverse pool (null = site default)
+// Custom projections, keyed by playerIdentity() so they survive a salary re-upload
+const PROJ_SOURCES   = new Map(); // name -> { weight, rows: Map(identity -> {proj,ceiling,floor,ownership}), updatedAt }
+const PROJ_OVERRIDES = new Map(); // identity -> { proj?, ceiling?, floor?, ownership? }
+let SITE_PROJ_WEIGHT = 0;         // weight of the site/nflverse projection when custom sources cover a player
 
 // ----------------- Utils ------------------
 const n = (v) => (v === null || v === undefined || v === "" ? 0 : Number(v) || 0);
 const trim = (s) => (s || "").toString().trim();
 const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
-const rnd = (a, b) => a + Math.random() * (b - a);
+// All optimizer/simulator randomness goes through random(); withSeed() swaps in a
+// seeded generator (mulberry32) for one call so a run can be reproduced exactly.
+let random = Math.random;
+const rnd = (a, b) => a + random() * (b - a);
+const gauss = () => {
+  // Box–Muller standard normal
+  let u = 0; while (u === 0) u = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+function mulberry32(a){
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+// Any number or string -> 32-bit PRNG state (FNV-1a)
+const seedState = (seed) => [...String(seed)].reduce((h, ch) => Math.imul(h ^ ch.charCodeAt(0), 16777619) >>> 0, 2166136261);
+const newSeed = () => crypto.randomBytes(4).readUInt32BE(0);
+function withSeed(seed, fn){
+  if (seed === undefined || seed === null || seed === "") return fn();
+  const prev = random;
+  random = mulberry32(seedState(seed));
+  try { return fn(); }
+  finally { random = prev; }
+}
 const fmt = (x, d = 2) => Number((x ?? 0).toFixed(d));
 const uniqKey = (lineup) => lineup.map(p => p.id).sort().join("|");
+// Underlying player: a showdown CPT entry and its FLEX entry share one key
+const playerKey = (p) => p.playerKey ?? p.id;
 const symDiffSize = (A, B) => {
   const a = new Set(A.map(p=>p.id)); let overlap=0;
   for (const p of B) if (a.has(p.id)) overlap++;
   return A.length + B.length - 2 * overlap;
 };
 
-// ----------------- SPORT CONFIG -----------
+// ----------------- SITE / SPORT CONFIG -----------
+// Salary-cap rosters per site. Defenses are always pos "DST" internally,
+// whatever the site calls them (FD "D", Yahoo "DEF").
+const NFL_CLASSIC_SLOTS = (dstSlot) => [
+  { name: "QB",   allow: ["QB"] },
+  { name: "RB1",  allow: ["RB"] },
+  { name: "RB2",  allow: ["RB"] },
+  { name: "WR1",  allow: ["WR"] },
+  { name: "WR2",  allow: ["WR"] },
+  { name: "WR3",  allow: ["WR"] },
+  { name: "TE",   allow: ["TE"] },
+  { name: "FLEX", allow: ["RB", "WR", "TE"] },   // FLEX is strictly RB/WR/TE — no QB in FLEX
+  { name: dstSlot, allow: ["DST"] },
+];
+const NFL_RULES = {
+  stack: { qb: { min: 1, max: 2, positions: ["WR", "TE"] } },   // default; per request via constraints.stack
+  avoidDstConflict: true,
+  defaultMaxPerTeam: 3,
+  defaultMinDiff: 4,
+};
+const NBA_RULES = {
+  stack: null,
+  avoidDstConflict: false,
+  defaultMaxPerTeam: 3,
+  defaultMinDiff: 3,
+};
+
 const ROSTERS = {
-  NFL: {
-    cap: 50000,
-    // FLEX is strictly RB/WR/TE — no QB in FLEX
-    slots: [
-      { name: "QB",   allow: ["QB"] },
-      { name: "RB1",  allow: ["RB"] },
-      { name: "RB2",  allow: ["RB"] },
-      { name: "WR1",  allow: ["WR"] },
-      { name: "WR2",  allow: ["WR"] },
-      { name: "WR3",  allow: ["WR"] },
-      { name: "TE",   allow: ["TE"] },
-      { name: "FLEX", allow: ["RB", "WR", "TE"] },
-      { name: "DST",  allow: ["DST"] },
-    ],
-    stack: { needQBStack: true, minReceivers: 1, maxReceivers: 2 },
-    avoidDstConflict: true,
-    defaultMaxPerTeam: 3,
+  DK: {
+    NFL: { cap: 50000, slots: NFL_CLASSIC_SLOTS("DST"), ...NFL_RULES },
+    NBA: {
+      cap: 50000, // DK Classic
+      slots: [
+        { name: "PG",   allow: ["PG"] },
+        { name: "SG",   allow: ["SG"] },
+        { name: "SF",   allow: ["SF"] },
+        { name: "PF",   allow: ["PF"] },
+        { name: "C",    allow: ["C"] },
+        { name: "G",    allow: ["PG","SG"] },
+        { name: "F",    allow: ["SF","PF"] },
+        { name: "UTIL", allow: ["PG","SG","SF","PF","C"] },
+      ],
+      ...NBA_RULES
+    }
   },
-  NBA: {
-    cap: 50000, // DK Classic
-    slots: [
-      { name: "PG",   allow: ["PG"] },
-      { name: "SG",   allow: ["SG"] },
-      { name: "SF",   allow: ["SF"] },
-      { name: "PF",   allow: ["PF"] },
-      { name: "C",    allow: ["C"] },
-      { name: "G",    allow: ["PG","SG"] },
-      { name: "F",    allow: ["SF","PF"] },
-      { name: "UTIL", allow: ["PG","SG","SF","PF","C"] },
-    ],
-    stack: null,
-    avoidDstConflict: false,
-    defaultMaxPerTeam: 3,
+  FD: {
+    NFL: { cap: 60000, slots: NFL_CLASSIC_SLOTS("D"), ...NFL_RULES, defaultMaxPerTeam: 4 },
+    NBA: {
+      cap: 60000, // 9-man classic
+      slots: [
+        { name: "PG1", allow: ["PG"] },
+        { name: "PG2", allow: ["PG"] },
+        { name: "SG1", allow: ["SG"] },
+        { name: "SG2", allow: ["SG"] },
+        { name: "SF1", allow: ["SF"] },
+        { name: "SF2", allow: ["SF"] },
+        { name: "PF1", allow: ["PF"] },
+        { name: "PF2", allow: ["PF"] },
+        { name: "C",   allow: ["C"] },
+      ],
+      ...NBA_RULES, defaultMaxPerTeam: 4
+    }
+  },
+  YAHOO: {
+    NFL: { cap: 200, slots: NFL_CLASSIC_SLOTS("DEF"), ...NFL_RULES },
+    NBA: {
+      cap: 200,
+      slots: [
+        { name: "PG",   allow: ["PG"] },
+        { name: "SG",   allow: ["SG"] },
+        { name: "G",    allow: ["PG","SG"] },
+        { name: "SF",   allow: ["SF"] },
+        { name: "PF",   allow: ["PF"] },
+        { name: "F",    allow: ["SF","PF"] },
+        { name: "C",    allow: ["C"] },
+        { name: "UTIL", allow: ["PG","SG","SF","PF","C"] },
+      ],
+      ...NBA_RULES
+    }
+  }
+};
+const SITES = Object.keys(ROSTERS);
+
+// Single-game Showdown: 1 CPT (1.5x points, 1.5x salary) + 5 FLEX, one entry per player.
+// CPT entries are pos "CPT" in the optimizer pool (see expandShowdownPool).
+const SHOWDOWN_RULES = {
+  stack: null,
+  avoidDstConflict: false,
+  defaultMaxPerTeam: 5,
+  defaultMinDiff: 2,
+  // eachTeam: every team on the slate is represented; captainTeamMinFlex: FLEX from the CPT's team
+  showdown: { captainMult: 1.5, eachTeam: true, captainTeamMinFlex: 0 },
+};
+const SHOWDOWN_SLOTS = (flexName, allow) => [
+  { name: "CPT", allow: ["CPT"] },
+  ...[1,2,3,4,5].map(i => ({ name: `${flexName}${i}`, allow })),
+];
+const SHOWDOWN_ROSTERS = {
+  DK: {
+    NFL: { cap: 50000, slots: SHOWDOWN_SLOTS("FLEX", ["QB","RB","WR","TE","K","DST"]), ...SHOWDOWN_RULES },
+    NBA: { cap: 50000, slots: SHOWDOWN_SLOTS("UTIL", ["PG","SG","SF","PF","C"]), ...SHOWDOWN_RULES },
   }
 };
+const MODES = ["classic", "showdown"];
+
+function normSite(site){
+  const s = trim(site).toUpperCase();
+  if (s === "DRAFTKINGS") return "DK";
+  if (s === "FANDUEL") return "FD";
+  return s;
+}
+function getRoster(site, sport, mode = "classic"){
+  if (mode === "showdown") return SHOWDOWN_ROSTERS[site]?.[sport] || null;
+  return ROSTERS[site]?.[sport] || ROSTERS[site]?.NFL || null;
+}
+const SITE_SOURCE = { DK: "draftkings", FD: "fanduel", YAHOO: "yahoo" };
 
-// ----------------- DK CSV parsing ----------
+// ----------------- Salary CSV parsing ----------
 function detectSportFromPositions(posSet) {
   const nfl = ["QB","RB","WR","TE","DST"].some(p => posSet.has(p));
   const nba = ["PG","SG","SF","PF","C","G","F","UTIL"].some(p => posSet.has(p));
@@ -87,48 +232,169 @@ function detectSportFromPositions(posSet) {
   return "NFL";
 }
 
-// Injury filter terms (upper-case checks)
-const INJURY_TERMS = ["OUT", "IR", "Q", "DNP", "PUP", "SUSP", "RES", "INACTIVE"];
+// Injury status, normalised across sites:
+// ACTIVE, P (probable), Q, GTD, D, O, IR, PUP (incl. NFI), SUSP, NA (inactive / reserve / not with team)
+const STATUS_ALIASES = {
+  "": "ACTIVE", ACTIVE: "ACTIVE", ACT: "ACTIVE", A: "ACTIVE", HEALTHY: "ACTIVE", NONE: "ACTIVE",
+  P: "P", PROB: "P", PROBABLE: "P",
+  Q: "Q", QUES: "Q", QUESTIONABLE: "Q",
+  GTD: "GTD", DTD: "GTD", "GAME-TIME": "GTD",
+  D: "D", DOUBT: "D", DOUBTFUL: "D",
+  O: "O", OUT: "O", INJ: "O", DNP: "O",
+  IR: "IR", "IR-R": "IR", IL: "IR", "IR-NFI": "IR",
+  PUP: "PUP", "PUP-R": "PUP", "PUP-P": "PUP", NFI: "PUP", "NFI-R": "PUP",
+  SUSP: "SUSP", SUS: "SUSP", SUSPENDED: "SUSP",
+  NA: "NA", "N/A": "NA", INACTIVE: "NA", INA: "NA", RES: "NA", RESERVE: "NA", DEV: "NA", CUT: "NA",
+};
+// Excluded unless a request says otherwise: players who cannot play
+const DEFAULT_EXCLUDE_STATUSES = ["O", "IR", "PUP", "SUSP", "NA"];
+// Some feeds tag the name instead: "Player Name (Q)"
+const NAME_STATUS_TAG = /\s*\((IR|OUT|O|Q|D|GTD|SUSP|PUP)\)\s*$/i;
+
+// Whole-value match only (no substring hits); unknown codes pass through upper-cased
+function normStatus(raw) {
+  const s = trim(raw).toUpperCase();
+  if (STATUS_ALIASES[s]) return STATUS_ALIASES[s];
+  const head = s.split(/[\s,;:()]+/)[0];
+  return STATUS_ALIASES[head] || s;
+}
+// { excludeStatuses } from a request: list/comma string; absent => defaults, "" or [] => keep everyone
+function statusFilter(v) {
+  if (v === undefined || v === null) return new Set(DEFAULT_EXCLUDE_STATUSES);
+  return new Set(listRefs(v).map(normStatus));
+}
 
-function isInjuredDK(row, nameUpper) {
-  const status = (row.InjuryStatus || row.Status || "").toUpperCase();
-  const note   = (row.InjuryNotes || row.Note || "").toUpperCase();
+// "BUF@KC 09/14/2025 01:00PM ET" (DK Game Info) or "BUF@KC" (FD/Yahoo Game)
+const GAME_INFO = /^([A-Z]{2,4})\s*@\s*([A-Z]{2,4})(?:\s+(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2})\s*(AM|PM))?/i;
 
-  const tagHit = INJURY_TERMS.some(t => status.includes(t) || note.includes(t));
-  const nameHit = nameUpper.includes("(IR)") || nameUpper.includes("(OUT)") || nameUpper.includes("(Q)");
-  return tagHit || nameHit;
+// Wall-clock Eastern time -> ISO UTC (DST-aware via Intl)
+function easternToIso(y, mo, d, h, mi){
+  const guess = Date.UTC(y, mo - 1, d, h, mi);
+  const tz = new Intl.DateTimeFormat("en-US", { timeZone: "America/New_York", timeZoneName: "shortOffset" })
+    .formatToParts(new Date(guess)).find(x => x.type === "timeZoneName").value;   // "GMT-4"
+  const off = Number(tz.replace("GMT", "") || 0);
+  return new Date(guess - off * 3600e3).toISOString();
 }
 
-function parseDKCsvToPlayers(csvText) {
+// -> { game, opp, gameTime } (fields omitted when unknown)
+function parseGameInfo(info, team, oppHint){
+  const m = trim(info).match(GAME_INFO);
+  const out = {};
+  if (m) {
+    const [away, home] = [m[1].toUpperCase(), m[2].toUpperCase()];
+    out.game = `${away}@${home}`;
+    if (team === away) out.opp = home;
+    else if (team === home) out.opp = away;
+    if (m[3]) {
+      let h = Number(m[6]) % 12;
+      if (m[8].toUpperCase() === "PM") h += 12;
+      out.gameTime = easternToIso(Number(m[5]), Number(m[3]), Number(m[4]), h, Number(m[7]));
+    }
+  }
+  if (!out.opp && trim(oppHint)) out.opp = trim(oppHint).toUpperCase();
+  return out;
+}
+
+const POS_ALIASES = { D: "DST", DEF: "DST", "D/ST": "DST" };
+const money = (v) => n(String(v ?? "").replace(/[$,\s]/g, ""));
+const fullName = (r) => trim(`${trim(r["First Name"])} ${trim(r["Last Name"])}`);
+
+// Per-site row readers -> { id, name, team, pos, salary, proj, status, note, game, opp }
+const SITE_CSV = {
+  DK: {
+    detect: (f) => f.has("TeamAbbrev") || f.has("AvgPointsPerGame") || f.has("Name + ID"),
+    row: (r) => ({
+      id: trim(r.ID || r["Player ID"] || r["DraftKings ID"]),
+      name: trim(r.Name || r["Player Name"] || r.Player || ""),
+      team: trim(r.TeamAbbrev || r.Team || r["Team Abbrev"] || ""),
+      pos: trim(r.Position || r["Roster Position"] || r["Roster Positions"] || r["RosterPosition"]),
+      rosterPos: trim(r["Roster Position"]).toUpperCase(),
+      salary: money(r.Salary || r["DK Salary"] || r["Salary (DK)"]),
+      proj: n(r.AvgPointsPerGame || r["Avg Points/GM"] || r.Projection || r.Proj || r.FPPG),
+      status: r.InjuryStatus || r.Status || "",
+      note: r.InjuryNotes || r.Note || "",
+      game: r["Game Info"] || r.Game || ""
+    })
+  },
+  FD: {
+    detect: (f) => f.has("Nickname") || f.has("Injury Indicator"),
+    row: (r) => ({
+      id: trim(r.Id || r.ID),
+      name: trim(r.Nickname) || fullName(r),
+      team: trim(r.Team),
+      pos: trim(r.Position || r["Roster Position"]),
+      salary: money(r.Salary),
+      proj: n(r.Projection || r.FPPG),
+      status: r["Injury Indicator"] || "",
+      note: r["Injury Details"] || "",
+      game: r.Game || "",
+      opp: r.Opponent || ""
+    })
+  },
+  YAHOO: {
+    detect: (f) => f.has("Injury Status") && f.has("First Name") && f.has("Time"),
+    row: (r) => ({
+      id: trim(r.ID || r.Id),
+      name: fullName(r) || trim(r.Name),
+      team: trim(r.Team),
+      pos: trim(r.Position),
+      salary: money(r.Salary),
+      proj: n(r.Projection || r.FPPG),
+      status: r["Injury Status"] || "",
+      note: "",
+      game: r.Game || "",
+      opp: r.Opponent || ""
+    })
+  }
+};
+
+function detectSiteFromHeaders(fields) {
+  const f = new Set((fields || []).map(trim));
+  for (const site of ["FD", "YAHOO", "DK"]) if (SITE_CSV[site].detect(f)) return site;
+  return "DK";
+}
+
+// Any supported site's salary CSV; site is auto-detected from the headers unless given.
+function parseSalaryCsv(csvText, siteHint) {
   const parsed = Papa.parse(csvText, { header: true, skipEmptyLines: true });
   const rows = parsed.data || [];
+  const site = normSite(siteHint) || detectSiteFromHeaders(parsed.meta?.fields);
+  const reader = SITE_CSV[site];
+  if (!reader) throw new Error(`Unknown site "${siteHint}" (use ${SITES.join(", ")})`);
   const players = [];
   const posSet = new Set();
+  const captains = new Map();   // showdown CPT rows, keyed by name|team
+  const showdown = rows.some(r => reader.row(r).rosterPos === "CPT");
 
   for (const r of rows) {
-    const posRaw = trim(r.Position || r["Roster Position"] || r["Roster Positions"] || r["RosterPosition"]);
-    if (!posRaw) continue;
-    const primary = posRaw.split(/[\/,]/)[0].toUpperCase();
+    const x = reader.row(r);
+    if (!x.pos) continue;
+    let primary = x.pos.split(/[\/,]/)[0].toUpperCase();
+    primary = POS_ALIASES[primary] || primary;
     posSet.add(primary);
 
-    const id = trim(r.ID || r["Player ID"] || r["DraftKings ID"] || r["ID"]);
-    const name = trim(r.Name || r["Player Name"] || r.Player || "");
-    const team = trim(r.TeamAbbrev || r.Team || r["Team Abbrev"] || "");
-    const salary = n(r.Salary || r["DK Salary"] || r["Salary (DK)"]);
-    const proj = n(r.AvgPointsPerGame || r["Avg Points/GM"] || r.Projection || r.Proj || r.FPPG);
+    // --- Injury status (kept in the pool; filtered per request) ---
+    const tag = x.name.match(NAME_STATUS_TAG);
+    if (tag) x.name = x.name.replace(NAME_STATUS_TAG, "");
+    const status = normStatus(trim(x.status) || (tag ? tag[1] : ""));
 
-    // --- Injury filtering ---
-    if (isInjuredDK(r, name.toUpperCase())) continue;
+    if (!x.name || !primary || !x.salary) continue;
 
-    if (!name || !primary || !salary) continue;
+    if (showdown && x.rosterPos === "CPT") {
+      captains.set(`${x.name}|${x.team.toUpperCase()}`, { id: x.id, salary: x.salary });
+      continue;
+    }
 
     players.push({
-      id: id || `${name}_${team}_${primary}`,
-      name,
-      team: team.toUpperCase(),
+      id: x.id || `${x.name}_${x.team}_${primary}`,
+      name: x.name,
+      team: x.team.toUpperCase(),
       pos: primary,
-      salary,
-      proj
+      salary: x.salary,
+      proj: x.proj,
+      status,
+      ...(trim(x.note) ? { injuryNote: trim(x.note) } : {}),
+      ...parseGameInfo(x.game, x.team.toUpperCase(), x.opp)
     });
   }
 
@@ -139,28 +405,158 @@ function parseDKCsvToPlayers(csvText) {
   }
   const list = Array.from(map.values());
 
+  // Showdown: pair each FLEX row with the same player's CPT row (own ID, 1.5x salary)
+  if (showdown) {
+    for (const p of list) {
+      const cpt = captains.get(`${p.name}|${p.team}`);
+      if (cpt) { p.cptId = cpt.id; p.cptSalary = cpt.salary; }
+    }
+  }
+
   const sport = detectSportFromPositions(posSet);
   if (sport === "NFL") {
     for (const p of list) {
-      if (p.pos === "DST") p.name = `${p.team || p.name} D/ST`;
+      if (p.pos === "DST") { p.siteName = p.name; p.name = `${p.team || p.name} D/ST`; }
     }
   }
 
-  console.log(`✅ Loaded ${list.length} active ${sport} players (injured filtered out)`);
-  return { players: list.map(p=>({ ...p, sport })), sport };
+  const mode = showdown ? "showdown" : "classic";
+  const flagged = list.filter(p => p.status !== "ACTIVE").length;
+  console.log(`✅ Loaded ${list.length} ${site} ${sport}${showdown ? " Showdown" : ""} players (${flagged} with an injury status)`);
+  return { players: list.map(p=>({ ...p, sport, site, mode })), sport, site, mode };
+}
+
+function parseDKCsvToPlayers(csvText) {
+  return parseSalaryCsv(csvText, "DK");
 }
 
-async function loadDKFromUrl(url) {
+async function fetchSalaryCsv(url, siteHint) {
   const resp = await fetch(url, { headers: { "User-Agent": "fantasy-sim/1.0" } });
-  if (!resp.ok) throw new Error(`DK CSV fetch failed: HTTP ${resp.status}`);
-  const csv = await resp.text();
-  const { players, sport } = parseDKCsvToPlayers(csv);
-  if (!players.length) throw new Error("No players parsed from DK CSV");
-  PLAYERS = players;
+  if (!resp.ok) throw new Error(`Salary CSV fetch failed: HTTP ${resp.status}`);
+  const out = parseSalaryCsv(await resp.text(), siteHint);
+  if (!out.players.length) throw new Error(`No players parsed from ${out.site} CSV`);
+  return { ...out, source: SITE_SOURCE[out.site] };
+}
+
+async function loadDKFromUrl(url, siteHint) {
+  const { players, sport, site, mode, source } = await loadFrom("dkUrl", { url, site: siteHint });
+  PLAYERS = applyProjections(players);
   CURRENT_SPORT = sport;
-  LAST_REFRESH = new Date().toISOString();
-  LAST_SOURCE = "draftkings";
-  return { ok: true, count: PLAYERS.length, sport, source: LAST_SOURCE };
+  CURRENT_SITE = site;
+  CURRENT_MODE = mode;
+  LAST_REFRESH = LAST_DATA_AT = new Date().toISOString();
+  LAST_SOURCE = source;
+  return { ok: true, count: PLAYERS.length, sport, site, mode, source: LAST_SOURCE };
+}
+
+// --------------- Scoring systems (data-defined) ---------------
+// offense: points per stat unit; bonuses: one-off points when a stat reaches `min`;
+// dst: points per defensive stat plus a points-allowed table ({ max, pts } tiers, the
+// last tier without `max` catches the rest). Custom systems are added through the API.
+const OFFENSE_STATS = ["passYd", "passTd", "int", "rushYd", "rushTd", "rec", "recYd", "recTd", "fumLost", "twoPt", "stTd"];
+const DST_STATS = ["sack", "int", "fumRec", "td", "safety", "blockedKick"];
+const PA_TIERS = [{ max: 0, pts: 10 }, { max: 6, pts: 7 }, { max: 13, pts: 4 }, { max: 20, pts: 1 }, { max: 27, pts: 0 }, { max: 34, pts: -1 }, { pts: -4 }];
+const BASE_OFFENSE = { passYd: 0.04, passTd: 4, int: -1, rushYd: 0.1, rushTd: 6, rec: 1, recYd: 0.1, recTd: 6, fumLost: -2, twoPt: 2, stTd: 6 };
+const BASE_DST = { sack: 1, int: 2, fumRec: 2, td: 6, safety: 2, blockedKick: 2, pointsAllowed: PA_TIERS };
+const BUILTIN_SCORING = {
+  DK: {
+    name: "DraftKings NFL",
+    offense: { ...BASE_OFFENSE, fumLost: -1 },
+    bonuses: [{ stat: "passYd", min: 300, pts: 3 }, { stat: "rushYd", min: 100, pts: 3 }, { stat: "recYd", min: 100, pts: 3 }],
+    dst: BASE_DST
+  },
+  FD:       { name: "FanDuel NFL",     offense: { ...BASE_OFFENSE, rec: 0.5 }, bonuses: [], dst: BASE_DST },
+  YAHOO:    { name: "Yahoo DFS NFL",   offense: { ...BASE_OFFENSE, rec: 0.5 }, bonuses: [], dst: BASE_DST },
+  HALF_PPR: { name: "Half PPR (league)", offense: { ...BASE_OFFENSE, rec: 0.5 }, bonuses: [], dst: BASE_DST },
+};
+const CUSTOM_SCORING = new Map(); // id -> system (persisted in STORE_DIR/scoring.json)
+// Default scoring system for each site's nflverse pool
+const SITE_SCORING = { DK: "DK", FD: "FD", YAHOO: "YAHOO" };
+
+function getScoring(id){
+  const key = trim(id).toUpperCase();
+  const sys = BUILTIN_SCORING[key] || CUSTOM_SCORING.get(key);
+  if (!sys) throw new Error(`Unknown scoring system "${id}" (use ${[...Object.keys(BUILTIN_SCORING), ...CUSTOM_SCORING.keys()].join(", ")})`);
+  return sys;
+}
+const listScoring = () => [
+  ...Object.entries(BUILTIN_SCORING).map(([id, s]) => ({ id, builtIn: true, ...s })),
+  ...[...CUSTOM_SCORING].map(([id, s]) => ({ id, builtIn: false, ...s }))
+];
+
+// Validate a user-defined system; fields left out come from `base` (default DK).
+function normScoring(def = {}){
+  const id = trim(def.id).toUpperCase();
+  if (!/^[A-Z0-9_-]{1,32}$/.test(id)) throw new Error("id must be 1-32 letters, digits, _ or -");
+  if (BUILTIN_SCORING[id]) throw new Error(`"${id}" is a built-in scoring system`);
+  const base = getScoring(def.base || "DK");
+  const num = (v, what) => { const x = Number(v); if (!Number.isFinite(x)) throw new Error(`${what} must be a number`); return x; };
+  const table = (obj, keys, what) => {
+    for (const k of Object.keys(obj || {})) if (!keys.includes(k)) throw new Error(`Unknown ${what} stat "${k}" (use ${keys.join(", ")})`);
+    return Object.fromEntries(Object.entries(obj || {}).map(([k, v]) => [k, num(v, `${what}.${k}`)]));
+  };
+  const offense = { ...base.offense, ...table(def.offense, OFFENSE_STATS, "offense") };
+  const bonuses = def.bonuses === undefined ? base.bonuses : (def.bonuses || []).map((b, i) => {
+    if (!OFFENSE_STATS.includes(b.stat)) throw new Error(`bonuses[${i}].stat must be one of ${OFFENSE_STATS.join(", ")}`);
+    return { stat: b.stat, min: num(b.min, `bonuses[${i}].min`), pts: num(b.pts, `bonuses[${i}].pts`) };
+  });
+  const { pointsAllowed, ...dstRates } = def.dst || {};
+  const dst = { ...base.dst, ...table(dstRates, DST_STATS, "dst") };
+  if (pointsAllowed !== undefined) {
+    if (!Array.isArray(pointsAllowed) || !pointsAllowed.length) throw new Error("dst.pointsAllowed must be a non-empty array of { max, pts }");
+    dst.pointsAllowed = pointsAllowed.map((t, i) => {
+      const last = i === pointsAllowed.length - 1;
+      if (!last && (t.max === undefined || t.max === null)) throw new Error("only the last dst.pointsAllowed tier may omit max");
+      if (i && t.max !== undefined && t.max !== null && Number(t.max) <= Number(pointsAllowed[i - 1].max)) throw new Error("dst.pointsAllowed tiers must have increasing max");
+      return { ...(t.max !== undefined && t.max !== null ? { max: num(t.max, `dst.pointsAllowed[${i}].max`) } : {}), pts: num(t.pts, `dst.pointsAllowed[${i}].pts`) };
+    });
+  }
+  return { id, system: { name: trim(def.name) || id, offense, bonuses, dst } };
+}
+
+// nflverse weekly row -> offensive stat line
+function offenseStats(r){
+  return {
+    passYd:  n(r.passing_yards   || r.pass_yds),
+    passTd:  n(r.passing_tds     || r.pass_td),
+    int:     n(r.interceptions   || r.passing_interceptions || r.int),
+    rushYd:  n(r.rushing_yards   || r.rush_yds),
+    rushTd:  n(r.rushing_tds     || r.rush_td),
+    rec:     n(r.receptions      || r.rec),
+    recYd:   n(r.receiving_yards || r.rec_yds),
+    recTd:   n(r.receiving_tds   || r.rec_td),
+    fumLost: n(r.fumbles_lost    || r.fumbles_lost_offense || r.fum_lost) ||
+             n(r.rushing_fumbles_lost) + n(r.receiving_fumbles_lost) + n(r.sack_fumbles_lost),
+    twoPt:   n(r.passing_2pt_conversions) + n(r.rushing_2pt_conversions) + n(r.receiving_2pt_conversions),
+    stTd:    n(r.special_teams_tds)
+  };
+}
+function offensePoints(r, sys = BUILTIN_SCORING.DK){
+  const s = offenseStats(r);
+  let pts = 0;
+  for (const [k, v] of Object.entries(sys.offense)) pts += (s[k] || 0) * v;
+  for (const b of sys.bonuses || []) if ((s[b.stat] || 0) >= b.min) pts += b.pts;
+  return pts;
+}
+// nflverse team row -> defensive stat line (+ points allowed)
+function dstStats(r){
+  return {
+    sack:   n(r.defense_sacks || r.def_sacks || r.sacks),
+    int:    n(r.defense_interceptions || r.def_interceptions || r.interceptions),
+    fumRec: n(r.defense_fumbles || r.fumbles_recovered || r.fumble_recoveries || r.def_fumbles),
+    td:     n(r.defense_touchdowns || r.def_tds || r.td || r.touchdowns),
+    safety: n(r.defense_safeties || r.def_safeties || r.safeties),
+    blockedKick: n(r.blocked_kicks || r.def_blocked_kicks),
+    pa:     n(r.points_allowed || r.points_against || r.opp_points)
+  };
+}
+function dstPoints(r, sys = BUILTIN_SCORING.DK){
+  const s = dstStats(r);
+  const { pointsAllowed = [], ...rates } = sys.dst;
+  let pts = 0;
+  for (const [k, v] of Object.entries(rates)) pts += (s[k] || 0) * v;
+  const tier = pointsAllowed.find(t => t.max === undefined || s.pa <= t.max);
+  return pts + (tier ? tier.pts : 0);
 }
 
 // --------------- nflverse fallback (NFL only) ---------------
@@ -171,25 +567,23 @@ const playerWeekUrl = (season) =>
 const teamWeekUrl = (season) =>
   `https://github.com/nflverse/nflverse-data/releases/download/team_stats/stats_team_week_${season}.csv`;
 
-function pprRow(r) {
-  const passY = n(r.passing_yards || r.pass_yds);
-  const passT = n(r.passing_tds   || r.pass_td);
-  const ints  = n(r.interceptions  || r.int);
-  const rushY = n(r.rushing_yards  || r.rush_yds);
-  const rushT = n(r.rushing_tds    || r.rush_td);
-  const rec   = n(r.receptions     || r.rec);
-  const recY  = n(r.receiving_yards|| r.rec_yds);
-  const recT  = n(r.receiving_tds  || r.rec_td);
-  const fumL  = n(r.fumbles_lost   || r.fumbles_lost_offense || r.fum_lost);
-  let pts = 0;
-  pts += passY * 0.04 + passT * 4 - ints * 1;
-  pts += rushY * 0.1  + rushT * 6;
-  pts += rec * 1 + recY * 0.1 + recT * 6;
-  pts -= fumL * 2;
-  return pts;
-}
-function weightedProj(arr) {
+// Projected-salary curve is DK-scale; other sites are rescaled to their cap
+const SITE_SALARY = {
+  DK:    { mult: 1,       step: 100, min: 2500, max: 9900 },
+  FD:    { mult: 1.2,     step: 100, min: 3000, max: 11000 },
+  YAHOO: { mult: 1 / 250, step: 1,   min: 10,   max: 50 },
+};
+
+// Recent-form projection. `weights` (most recent game first, e.g. [0.5,0.3,0.2])
+// overrides the built-in blend of the last three games.
+function weightedProj(arr, weights) {
   if (!arr.length) return 0;
+  if (weights && weights.length) {
+    const recent = arr.slice(-weights.length).reverse();
+    const w = weights.slice(0, recent.length);
+    const sum = w.reduce((a,b)=>a+b,0) || 1;
+    return fmt(recent.reduce((s,x,i)=> s + x*w[i], 0) / sum);
+  }
   const L = arr.slice(-3);
   if (L.length === 1) return fmt(L[0]);
   if (L.length === 2) return fmt(L[1]*0.3 + L[0]*0.7);
@@ -199,7 +593,7 @@ function seasonAvg(arr) {
   if (!arr.length) return 0;
   return fmt(arr.reduce((a,b)=>a+b,0)/arr.length);
 }
-function salaryFromProj(pos, proj) {
+function salaryFromProj(pos, proj, site = "DK") {
   let base;
   switch(pos){
     case "QB":  base = 2200 + 425*proj; break;
@@ -209,34 +603,40 @@ function salaryFromProj(pos, proj) {
     case "DST": base = 2200 + 250*proj; break;
     default:    base = 2500 + 350*proj;
   }
-  return clamp(Math.round(base), 2500, 9900);
+  const sc = SITE_SALARY[site] || SITE_SALARY.DK;
+  const scaled = clamp(Math.round(base), 2500, 9900) * sc.mult;
+  return clamp(Math.round(scaled / sc.step) * sc.step, sc.min, sc.max);
 }
-function buildOffense(rows){
+const nflPlayerId = (r, pos) => r.player_id || r.gsis_id || r.pfr_player_id || r.pfr_id ||
+  `${r.player_name}_${pos}_${r.recent_team || r.team}`;
+// `scoring` is a scoring system id (defaults to the site's own rules)
+function buildOffense(rows, site = "DK", { weights, scoring = SITE_SCORING[site] || "DK" } = {}){
+  const sys = getScoring(scoring);
   const byId = new Map();
   for (const r of rows) {
     const pos = (r.position || r.pos || "").toUpperCase();
     if (!["QB","RB","WR","TE"].includes(pos)) continue;
-    const pid = r.player_id || r.gsis_id || r.pfr_player_id || r.pfr_id ||
-                `${r.player_name}_${pos}_${r.recent_team || r.team}`;
+    const pid = nflPlayerId(r, pos);
     if (!byId.has(pid)) byId.set(pid, []);
     byId.get(pid).push(r);
   }
   const out = [];
   for (const [pid, list] of byId.entries()) {
     list.sort((a,b)=> n(a.week)-n(b.week) );
-    const pts = list.map(pprRow);
-    let proj = weightedProj(pts);
+    const pts = list.map(r => offensePoints(r, sys));
+    let proj = weightedProj(pts, weights);
     if (proj === 0) proj = seasonAvg(pts);
     const latest = list[list.length-1];
     const name = latest.player_name || latest.name || "Unknown";
     const team = (latest.recent_team || latest.team || latest.posteam || "").toUpperCase();
     const pos  = (latest.position || latest.pos || "").toUpperCase();
     if (!name || !pos) continue;
-    out.push({ id:pid, name, team:team||"FA", pos, proj, salary: salaryFromProj(pos, proj), sport:"NFL" });
+    out.push({ id:pid, name, team:team||"FA", pos, proj, salary: salaryFromProj(pos, proj, site), sport:"NFL", site, status:"ACTIVE" });
   }
   return out;
 }
-function buildDST(rows){
+function buildDST(rows, site = "DK", { weights, scoring = SITE_SCORING[site] || "DK" } = {}){
+  const sys = getScoring(scoring);
   const byTeam = new Map();
   for(const r of rows){
     const team=(r.team||r.recent_team||r.posteam||r.defteam||"").toUpperCase();
@@ -244,319 +644,2975 @@ function buildDST(rows){
     if(!byTeam.has(team)) byTeam.set(team,[]);
     byTeam.get(team).push(r);
   }
-  const pointsAllowedToDST = (pa)=>{
-    if(pa===0) return 10;
-    if(pa<=6)  return 7;
-    if(pa<=13) return 4;
-    if(pa<=20) return 1;
-    if(pa<=27) return 0;
-    if(pa<=34) return -1;
-    return -4;
-  };
   const out=[];
   for(const [team,list] of byTeam.entries()){
     list.sort((a,b)=> n(a.week)-n(b.week) );
-    const pts = list.map(r=>{
-      const sacks   = n(r.defense_sacks || r.sacks);
-      const ints    = n(r.defense_interceptions || r.interceptions);
-      const fumRec  = n(r.defense_fumbles || r.fumbles_recovered || r.fumble_recoveries);
-      const tds     = n(r.defense_touchdowns || r.td || r.touchdowns);
-      const safeties= n(r.defense_safeties || r.safeties);
-      const pa      = n(r.points_allowed || r.points_against || r.opp_points);
-      return sacks*1 + ints*2 + fumRec*2 + tds*6 + safeties*2 + pointsAllowedToDST(pa);
-    });
-    let proj = weightedProj(pts);
+    const pts = list.map(r => dstPoints(r, sys));
+    let proj = weightedProj(pts, weights);
     if (proj === 0) proj = seasonAvg(pts);
-    out.push({ id:`DST_${team}`, name:`${team} D/ST`, team, pos:"DST", proj, salary: salaryFromProj("DST",proj), sport:"NFL" });
+    out.push({ id:`DST_${team}`, name:`${team} D/ST`, team, pos:"DST", proj, salary: salaryFromProj("DST",proj,site), sport:"NFL", site, status:"ACTIVE" });
+  }
+  return out;
+}
+// --------------- Matchups (defense vs position + schedule) ---------------
+const OFFENSE_POS = ["QB","RB","WR","TE"];
+const HOME_AWAY = { home: 1.02, away: 0.98 };
+const DVP_PRIOR_GAMES = 3;          // shrink thin samples toward a neutral 1.0
+const DVP_RANGE = [0.75, 1.25];
+
+// Team -> { QB, RB, WR, TE, DST } multipliers for players facing that team: fantasy
+// points per game the team allowed to the position, over the league average.
+// For DST the team is the offense being faced (points DSTs scored against it).
+function dvpFactors(playerRows, teamRows, scoring = "DK"){
+  const sys = getScoring(scoring);
+  const allowed = new Map();   // team -> pos -> points
+  const games = new Map();     // team -> pos -> Set(week)
+  const add = (team, pos, week, pts) => {
+    if (!team || team.length > 3) return;
+    if (!allowed.has(team)) { allowed.set(team, {}); games.set(team, {}); }
+    allowed.get(team)[pos] = (allowed.get(team)[pos] || 0) + pts;
+    (games.get(team)[pos] ||= new Set()).add(week);
+  };
+  for (const r of playerRows) {
+    const pos = (r.position || r.pos || "").toUpperCase();
+    if (OFFENSE_POS.includes(pos)) add((r.opponent_team || r.opponent || "").toUpperCase(), pos, n(r.week), offensePoints(r, sys));
+  }
+  for (const r of teamRows) add((r.opponent_team || r.opponent || "").toUpperCase(), "DST", n(r.week), dstPoints(r, sys));
+
+  const league = {};
+  for (const pos of [...OFFENSE_POS, "DST"]) {
+    let pts = 0, g = 0;
+    for (const [team, byPos] of allowed) { pts += byPos[pos] || 0; g += games.get(team)[pos]?.size || 0; }
+    league[pos] = g ? pts / g : 0;
+  }
+  const out = new Map();
+  for (const [team, byPos] of allowed) {
+    const f = {};
+    for (const pos of Object.keys(league)) {
+      const g = games.get(team)[pos]?.size || 0;
+      if (!g || league[pos] <= 0) { f[pos] = 1; continue; }
+      f[pos] = fmt(clamp((byPos[pos] + league[pos] * DVP_PRIOR_GAMES) / ((g + DVP_PRIOR_GAMES) * league[pos]), ...DVP_RANGE), 3);
+    }
+    out.set(team, f);
+  }
+  return out;
+}
+
+// Week's games from an nflverse schedule CSV (games.csv) -> Map(team -> { opp, home, game, gameTime }).
+// Null when the file is missing.
+function readSchedule(season, week, file = SCHEDULE_FILE){
+  if (!fs.existsSync(file)) return null;
+  const rows = Papa.parse(fs.readFileSync(file, "utf8"), { header:true, skipEmptyLines:true }).data || [];
+  const out = new Map();
+  for (const r of rows) {
+    if (n(r.season) !== Number(season) || n(r.week) !== Number(week)) continue;
+    const home = trim(r.home_team).toUpperCase(), away = trim(r.away_team).toUpperCase();
+    if (!home || !away) continue;
+    const neutral = trim(r.location).toLowerCase() === "neutral";
+    const [y, mo, d] = trim(r.gameday).split("-").map(Number);
+    const [h, mi] = trim(r.gametime).split(":").map(Number);
+    const gameTime = y && mo && d && !isNaN(h) ? easternToIso(y, mo, d, h, mi || 0) : undefined;
+    const game = `${away}@${home}`;
+    out.set(home, { opp: away, home: neutral ? undefined : true, game, gameTime });
+    out.set(away, { opp: home, home: neutral ? undefined : false, game, gameTime });
   }
   return out;
 }
-async function fetchSeason(season){
-  const [pRes,tRes] = await Promise.all([
-    fetch(playerWeekUrl(season), { headers:{ "User-Agent":"fantasy-sim/1.0" } }),
-    fetch(teamWeekUrl(season),   { headers:{ "User-Agent":"fantasy-sim/1.0" } }),
-  ]);
-  if(!pRes.ok) throw new Error(`players ${season}: HTTP ${pRes.status}`);
-  if(!tRes.ok) throw new Error(`teams ${season}: HTTP ${tRes.status}`);
-  const [pText,tText] = await Promise.all([pRes.text(), tRes.text()]);
-  const pParsed = Papa.parse(pText, { header:true, skipEmptyLines:true });
-  const tParsed = Papa.parse(tText, { header:true, skipEmptyLines:true });
-
-  const offense = buildOffense(pParsed.data || []);
-  const dst     = buildDST(tParsed.data || []);
+
+// Scale each projection by its opponent's DvP factor and the home/away edge.
+// Salaries stay on the unadjusted projection, so good matchups show up as value.
+function applyMatchups(players, factors, schedule){
+  for (const p of players) {
+    const g = schedule.get(p.team);
+    if (!g) continue;
+    const dvp = factors.get(g.opp)?.[p.pos] ?? 1;
+    const homeAway = g.home === undefined ? 1 : g.home ? HOME_AWAY.home : HOME_AWAY.away;
+    const factor = fmt(dvp * homeAway, 3);
+    p.matchup = { opp: g.opp, home: g.home, dvp, homeAway, factor, formProj: p.proj };
+    p.proj = fmt(p.proj * factor);
+    p.opp = g.opp;
+    if (g.game) p.game = g.game;
+    if (g.gameTime) p.gameTime = g.gameTime;
+  }
+  return players;
+}
+
+async function fetchSeason(season, site = "DK", scoring = SITE_SCORING[site] || "DK"){
+  const pCsv = await nflverseCsv(playerWeekUrl(season));
+  const tCsv = await nflverseCsv(teamWeekUrl(season));
+  const pParsed = Papa.parse(pCsv.text, { header:true, skipEmptyLines:true });
+  const tParsed = Papa.parse(tCsv.text, { header:true, skipEmptyLines:true });
+
+  const offense = buildOffense(pParsed.data || [], site, { scoring });
+  const dst     = buildDST(tParsed.data || [], site, { scoring });
   const all     = [...offense, ...dst].filter(p=>p.name&&p.pos);
-  return { players: all, count: all.length, source: `nflverse ${season}` };
+
+  // adjust for the week after the last one in the stats, when the schedule has it
+  const week = (pParsed.data || []).reduce((m, r) => Math.max(m, n(r.week)), 0) + 1;
+  const schedule = readSchedule(season, week);
+  let matchups = null;
+  if (schedule?.size) {
+    applyMatchups(all, dvpFactors(pParsed.data || [], tParsed.data || [], scoring), schedule);
+    matchups = { week, games: schedule.size / 2 };
+  }
+  const tags = [
+    ...(scoring !== SITE_SCORING[site] ? [`${scoring} scoring`] : []),
+    ...[...new Set([pCsv.from, tCsv.from])].filter(f => f !== "nflverseRemote").map(f => f === "nflverseCache" ? "cached" : "local files")
+  ];
+  const source = `nflverse ${season}` + (tags.length ? ` (${tags.join(", ")})` : "");
+  const dataAt = [pCsv.dataAt, tCsv.dataAt].sort()[0];
+  return { players: all, count: all.length, source, matchups, dataAt };
 }
-async function refreshNflverse(){
+async function fetchNflversePool(site = CURRENT_SITE, scoring){
+  if (!SITE_SCORING[site]) throw new Error(`Unknown site "${site}" (use ${SITES.join(", ")})`);
+  scoring = trim(scoring || SITE_SCORING[site]).toUpperCase();
+  getScoring(scoring);
   const errs=[];
   for(const season of TRY_SEASONS){
     try{
-      const { players, count, source } = await fetchSeason(season);
+      const { players, count, source, matchups, dataAt } = await fetchSeason(season, site, scoring);
       if(!count) { errs.push(`${season}: 0 players`); continue; }
-      PLAYERS = players;
-      CURRENT_SPORT = "NFL";
-      LAST_REFRESH = new Date().toISOString();
-      LAST_SOURCE  = source;
-      return { ok:true, season, count, source, sport: CURRENT_SPORT };
+      return { players, season, count, source, matchups, dataAt, scoring, sport: "NFL", site, mode: "classic" };
     }catch(e){ errs.push(`${season}: ${e.message}`); }
   }
   throw new Error(errs.join(" | "));
 }
 
-// --------------- freshness ---------------
-async function ensureFresh(){
-  if (!PLAYERS.length) {
-    try {
-      if (DK_SALARIES_URL) await loadDKFromUrl(DK_SALARIES_URL);
-      else await refreshNflverse();
-    } catch {
-      LAST_REFRESH = new Date().toISOString();
-      LAST_SOURCE = "empty";
-    }
-    return;
-  }
-  if (Date.now() - Date.parse(LAST_REFRESH || 0) > REFRESH_MS) {
-    try {
-      if (LAST_SOURCE === "draftkings" && DK_SALARIES_URL) await loadDKFromUrl(DK_SALARIES_URL);
-      else await refreshNflverse();
-    } catch {/* keep previous pool */}
+async function refreshNflverse(site = CURRENT_SITE, scoring){
+  const { players, season, count, source, matchups, dataAt, scoring: scoringId } = await fetchNflversePool(site, scoring);
+  PLAYERS = applyProjections(players);
+  CURRENT_SPORT = "NFL";
+  CURRENT_SITE = site;
+  CURRENT_MODE = "classic";
+  LAST_REFRESH = new Date().toISOString();
+  LAST_DATA_AT = dataAt;
+  LAST_SOURCE  = source;
+  NFLVERSE_SCORING = scoringId;
+  return { ok:true, season, count, source, dataAt, matchups, scoring: scoringId, sport: CURRENT_SPORT, site };
+}
+
+// --------------- Custom projections ---------------
+const NAME_SUFFIXES = /\b(jr|sr|ii|iii|iv|v)\b/g;
+const normName = (s) => trim(s).toLowerCase().replace(/[.'’,-]/g, " ").replace(NAME_SUFFIXES, "").replace(/\s+/g, " ").trim();
+const TEAM_ALIASES = { JAC: "JAX", WSH: "WAS", LA: "LAR", OAK: "LV", SD: "LAC", GS: "GSW", NO: "NOP", NY: "NYK", SA: "SAS", PHO: "PHX" };
+const normTeam = (t) => { const u = trim(t).toUpperCase(); return TEAM_ALIASES[u] || u; };
+const normPos = (p) => { const u = trim(p).toUpperCase().split(/[\/,]/)[0]; return POS_ALIASES[u] || u; };
+const playerIdentity = (p) => `${normName(p.name)}|${normTeam(p.team)}|${normPos(p.pos)}`;
+
+function editDistance(a, b){
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) for (let j = 1; j <= b.length; j++) {
+    d[i][j] = Math.min(d[i-1][j] + 1, d[i][j-1] + 1, d[i-1][j-1] + (a[i-1] === b[j-1] ? 0 : 1));
   }
+  return d[a.length][b.length];
 }
-setInterval(()=>{ ensureFresh().catch(()=>{}); }, 30*60*1000);
-ensureFresh().catch(()=>{});
 
-// ----------------- Optimizer core -----------------
-function sortByValue(arr, temperature=0){
-  // Value density with small randomized jitter
-  return [...arr].sort((a,b)=>{
-    const va = (a.projAdj)/Math.max(1,a.salary) + (temperature ? rnd(-temperature,temperature)/1000 : 0);
-    const vb = (b.projAdj)/Math.max(1,b.salary) + (temperature ? rnd(-temperature,temperature)/1000 : 0);
-    if (vb !== va) return vb - va;
-    return (b.projAdj - a.projAdj);
+// Projection rows from CSV or JSON with loose column names -> { id,name,team,pos,proj,ceiling,floor,ownership }
+const PROJ_COLUMNS = {
+  id: ["id", "playerid", "dkid", "draftkingsid", "fdid"],
+  name: ["name", "player", "playername", "nickname"],
+  team: ["team", "teamabbrev", "tm"],
+  pos: ["pos", "position"],
+  proj: ["proj", "projection", "projected", "points", "fpts", "fp", "median"],
+  ceiling: ["ceiling", "ceil", "high"],
+  floor: ["floor", "low"],
+  ownership: ["ownership", "own", "projown", "pown", "projectedownership"],
+};
+function readProjectionRows({ csv, rows }){
+  const raw = trim(csv) ? Papa.parse(csv, { header: true, skipEmptyLines: true }).data : (rows || []);
+  const num = (v) => (v === undefined || v === null || trim(v) === "" ? undefined : n(String(v).replace(/[%$,]/g, "")));
+  return raw.map(r => {
+    const norm = {};
+    for (const [k, v] of Object.entries(r)) norm[k.toLowerCase().replace(/[^a-z]/g, "")] = v;
+    const pick = (field) => { for (const k of PROJ_COLUMNS[field]) if (norm[k] !== undefined && trim(norm[k]) !== "") return norm[k]; };
+    return {
+      id: trim(pick("id")),
+      name: trim(pick("name")),
+      team: trim(pick("team")),
+      pos: trim(pick("pos")),
+      proj: num(pick("proj")),
+      ceiling: num(pick("ceiling")),
+      floor: num(pick("floor")),
+      ownership: num(pick("ownership")),
+    };
   });
 }
 
-function buildLineupStrict(players, rosterCfg, {
-  salaryCap,
-  noise = 1.0,
-  temperature = 0.6,
-  maxPerTeam = rosterCfg.defaultMaxPerTeam,
-  tries = 300
-} = {}){
-  const cap = salaryCap || rosterCfg.cap;
-  let best = null;
+// Match a projection row to the pool: exact ID, then name (+team/pos when given),
+// then a unique close spelling. Returns { player } or { reason }.
+function matchProjectionRow(row, pool){
+  if (row.id) {
+    const byId = pool.find(p => String(p.id) === row.id || String(p.cptId) === row.id);
+    if (byId) return { player: byId };
+  }
+  if (!row.name) return { reason: row.id ? `no player with ID ${row.id}` : "row has no ID or name" };
+  const team = row.team && normTeam(row.team);
+  const pos = row.pos && normPos(row.pos);
+  const fits = pool.filter(p => (!team || normTeam(p.team) === team) && (!pos || normPos(p.pos) === pos));
+  const name = normName(row.name);
 
-  for(let attempt=0; attempt<tries; attempt++){
-    const pool = players.map(p => ({ ...p, projAdj: p.proj + (noise ? rnd(-noise, noise) : 0) }));
-    const poolByPos = pool.reduce((m,p)=>{ (m[p.pos] ||= []).push(p); return m; }, {});
-    for(const pos in poolByPos) poolByPos[pos] = sortByValue(poolByPos[pos], temperature);
+  let hits = fits.filter(p => normName(p.name) === name || normName(p.siteName || "") === name);
+  if (!hits.length) {
+    const tol = name.length >= 8 ? 2 : 1;
+    hits = fits.filter(p => editDistance(normName(p.name), name) <= tol);
+  }
+  if (hits.length === 1) return { player: hits[0] };
+  if (hits.length > 1) return { reason: `ambiguous: ${hits.slice(0, 4).map(p => `${p.name} ${p.team} ${p.pos}`).join(", ")}` };
+  return { reason: "no matching player" };
+}
 
-    const taken = new Set();
-    const teamCount = {};
-    const lineup = [];
-    let used = 0;
+// Recompute proj/ceiling/floor/ownership for a freshly loaded (or re-blended) pool.
+// The site number is kept as baseProj; sources blend by weight; overrides win.
+function applyProjections(players){
+  for (const p of players) {
+    p.baseProj ??= p.proj;
+    const id = playerIdentity(p);
+    const blend = { proj: [], ceiling: [], floor: [], ownership: [] };
+    const used = [];
+    for (const [name, src] of PROJ_SOURCES) {
+      const row = src.rows.get(id);
+      if (!row || !src.weight) continue;
+      used.push(name);
+      for (const f of Object.keys(blend)) if (row[f] !== undefined) blend[f].push([row[f], src.weight]);
+    }
+    if (used.length && SITE_PROJ_WEIGHT) { blend.proj.push([p.baseProj, SITE_PROJ_WEIGHT]); used.push("site"); }
+    const avg = (pairs) => {
+      const w = pairs.reduce((s, [, wt]) => s + wt, 0);
+      return w ? fmt(pairs.reduce((s, [v, wt]) => s + v * wt, 0) / w) : undefined;
+    };
 
-    function canAdd(p, addingPos){
-      if (taken.has(p.id)) return false;
-      if (used + p.salary > cap) return false;
-      const cnt = (teamCount[p.team]||0) + 1;
-      if (maxPerTeam && cnt > maxPerTeam) return false;
+    p.proj = avg(blend.proj) ?? p.baseProj;
+    for (const f of ["ceiling", "floor", "ownership"]) { const v = avg(blend[f]); if (v !== undefined) p[f] = v; else delete p[f]; }
+    p.projSources = used.length ? used : ["site"];
 
-      // NFL-only conflicts with DST
-      if (rosterCfg.avoidDstConflict){
-        if (addingPos === "DST"){
-          if (lineup.some(x => x.pos !== "DST" && x.team === p.team)) return false;
-        } else {
-          if (lineup.some(x => x.pos === "DST" && x.team === p.team)) return false;
-        }
-      }
-      return true;
+    const ov = PROJ_OVERRIDES.get(id);
+    if (ov) {
+      for (const f of ["proj", "ceiling", "floor", "ownership"]) if (ov[f] !== undefined) p[f] = ov[f];
+      p.projSources = [...p.projSources, "override"];
     }
-    function add(p){
-      taken.add(p.id);
-      teamCount[p.team] = (teamCount[p.team]||0) + 1;
-      lineup.push(p);
-      used += p.salary;
-    }
-
-    // Fill each slot strictly by allowed positions.
-    for (const slot of rosterCfg.slots) {
-      const allowed = slot.allow;
+  }
+  return players;
+}
 
-      // merged candidate list for this slot
-      let cands = [];
-      for (const pos of allowed) {
-        if (poolByPos[pos]) cands = cands.concat(poolByPos[pos].filter(x=>!taken.has(x.id)));
-      }
-      // small random pick from top K to diversify
-      const K = Math.max(5, Math.ceil(cands.length * 0.15));
-      cands = cands.slice(0, K);
+// Import one named source (replacing it) and/or manual overrides; returns a match report.
+// Rows are matched against `pool` (the live pool or a saved slate's).
+function importProjections({ source = "custom", weight, csv, rows, overrides, siteWeight } = {}, pool = PLAYERS){
+  const report = { source: null, matched: 0, unmatched: [], overridesApplied: 0, overridesCleared: 0 };
+  if (siteWeight !== undefined) SITE_PROJ_WEIGHT = Math.max(0, Number(siteWeight) || 0);
 
-      const pick = cands.find(p => canAdd(p, allowed.length===1 ? allowed[0] : p.pos));
-      if (!pick) {
-        // widen to top 25%
-        let more = [];
-        for (const pos of allowed) {
-          if (poolByPos[pos]) more = more.concat(poolByPos[pos].filter(x=>!taken.has(x.id)));
-        }
-        more = more.slice(0, Math.max(K, Math.ceil(more.length*0.25)));
-        const alt = more.find(p => canAdd(p, allowed.length===1 ? allowed[0] : p.pos));
-        if (!alt) { lineup.length = 0; break; } // give up this attempt
-        add(alt);
-        continue;
+  if (trim(csv) || (rows && rows.length)) {
+    const parsed = readProjectionRows({ csv, rows });
+    const srcRows = new Map();
+    parsed.forEach((row, i) => {
+      if (row.proj === undefined && row.ceiling === undefined && row.floor === undefined && row.ownership === undefined) {
+        report.unmatched.push({ row: i + 1, name: row.name || row.id, reason: "no projection values" });
+        return;
       }
-      add(pick);
-    }
+      const m = matchProjectionRow(row, pool);
+      if (!m.player) { report.unmatched.push({ row: i + 1, name: row.name || row.id, team: row.team, pos: row.pos, reason: m.reason }); return; }
+      const { proj, ceiling, floor, ownership } = row;
+      srcRows.set(playerIdentity(m.player), { proj, ceiling, floor, ownership });
+      report.matched++;
+    });
+    PROJ_SOURCES.set(source, { weight: Math.max(0, Number(weight ?? 1) || 0), rows: srcRows, updatedAt: new Date().toISOString() });
+    report.source = source;
+  } else if (PROJ_SOURCES.has(source) && weight !== undefined) {
+    PROJ_SOURCES.get(source).weight = Math.max(0, Number(weight) || 0);
+    report.source = source;
+  }
 
-    if (lineup.length !== rosterCfg.slots.length) continue;
+  // overrides: [{ id|name, team, pos, proj, ceiling, floor, ownership }]; all values null clears one
+  for (const [i, row] of readProjectionRows({ rows: overrides || [] }).entries()) {
+    const m = matchProjectionRow(row, pool);
+    if (!m.player) { report.unmatched.push({ override: i + 1, name: row.name || row.id, reason: m.reason }); continue; }
+    const key = playerIdentity(m.player);
+    const vals = Object.fromEntries(["proj", "ceiling", "floor", "ownership"].filter(f => row[f] !== undefined).map(f => [f, row[f]]));
+    if (Object.keys(vals).length) { PROJ_OVERRIDES.set(key, vals); report.overridesApplied++; }
+    else if (PROJ_OVERRIDES.delete(key)) report.overridesCleared++;
+  }
 
-    // NFL stack requirement: at least minReceivers WR/TE on same team as QB
-    if (rosterCfg.stack?.needQBStack) {
-      const qb = lineup.find(p => p.pos === "QB");
-      if (!qb) continue;
-      const recs = lineup.filter(p => (p.pos === "WR" || p.pos === "TE") && p.team === qb.team);
-      if (recs.length < (rosterCfg.stack.minReceivers || 1)) continue;
-    }
+  applyProjections(PLAYERS);
+  if (pool !== PLAYERS) applyProjections(pool);
+  saveProjections();
+  return report;
+}
 
-    const totalProj = fmt(lineup.reduce((s,p)=> s + (p.projAdj || p.proj || 0), 0));
-    const candidate = { usedSalary: used, totalProj, lineup: lineup.map(({projAdj, ...rest})=>rest) };
-    if (!best || candidate.totalProj > best.totalProj || (candidate.totalProj===best.totalProj && candidate.usedSalary<best.usedSalary)){
-      best = candidate;
-    }
-  }
-  return best;
+function projectionSummary(){
+  return {
+    siteWeight: SITE_PROJ_WEIGHT,
+    sources: [...PROJ_SOURCES].map(([name, s]) => ({ name, weight: s.weight, players: s.rows.size, updatedAt: s.updatedAt })),
+    overrides: [...PROJ_OVERRIDES].map(([key, v]) => ({ key, ...v }))
+  };
 }
 
-function generateLineups(players, rosterCfg, {
-  salaryCap,
-  count = 20,
-  noise = 1.2,
-  temperature = 0.6,
-  maxPerTeam = rosterCfg.defaultMaxPerTeam,
-  minDiff = (rosterCfg === ROSTERS.NFL ? 4 : 3),
-  triesPerLineup = 300
-} = {}){
-  const out = [];
-  const seen = new Set();
+// --------------- Data sources (adapters + nflverse cache) ---------------
+// Every pool load goes through one of these adapters, which record per-source status for
+// /api/health. nflverse CSVs are fetched remote-first; each download is cached on disk with
+// its fetch time, and a failed fetch falls back to the cache, then to NFLVERSE_DIR.
+const SOURCE_STATUS = new Map(); // id -> { ok, lastAttempt, lastSuccess, lastError, dataAt, from, ... }
 
-  while (out.length < count) {
-    const cand = buildLineupStrict(players, rosterCfg, { salaryCap, noise, temperature, maxPerTeam, tries: triesPerLineup });
-    if (!cand) break;
+const cacheFile = (url) => path.join(NFLVERSE_CACHE_DIR, path.basename(url));
+const cacheMeta = (url) => readJson(`${cacheFile(url)}.json`);
 
-    // diversity & duplicate check
-    let unique = true;
-    for (const L of out) {
-      if (symDiffSize(L.lineup, cand.lineup) < minDiff) { unique = false; break; }
+const DATA_SOURCES = {
+  dkUrl: {
+    label: "Salary CSV from a URL (DK / FD / Yahoo)",
+    load: async ({ url, site }) => {
+      const out = await fetchSalaryCsv(url, site);
+      return { ...out, dataAt: new Date().toISOString(), detail: { url, site: out.site, players: out.players.length } };
     }
-    const key = uniqKey(cand.lineup);
-    if (seen.has(key)) unique = false;
-
-    if (unique) {
-      out.push(cand);
-      seen.add(key);
-    } else {
-      // slightly increase randomness to search new space
-      noise *= 1.02;
-      temperature *= 1.02;
+  },
+  dkUpload: {
+    label: "Uploaded salary CSV",
+    load: async ({ csv, site }) => {
+      const out = parseSalaryCsv(csv, site);
+      if (!out.players.length) throw new Error("No players in CSV");
+      return { ...out, source: SITE_SOURCE[out.site], dataAt: new Date().toISOString(), detail: { site: out.site, players: out.players.length } };
+    }
+  },
+  nflverseRemote: {
+    label: "nflverse-data GitHub releases",
+    load: async ({ url }) => {
+      if (NFLVERSE_OFFLINE) throw new Error("remote fetches disabled (NFLVERSE_OFFLINE)");
+      const resp = await fetch(url, { headers: { "User-Agent": "fantasy-sim/1.0" }, signal: AbortSignal.timeout(NFLVERSE_TIMEOUT_MS) });
+      if (!resp.ok) throw new Error(`${path.basename(url)}: HTTP ${resp.status}`);
+      const text = await resp.text();
+      const dataAt = new Date().toISOString();
+      fs.mkdirSync(NFLVERSE_CACHE_DIR, { recursive: true });
+      fs.writeFileSync(cacheFile(url), text);
+      writeJsonAtomic(`${cacheFile(url)}.json`, { url, fetchedAt: dataAt, bytes: Buffer.byteLength(text) });
+      return { text, dataAt, detail: { file: path.basename(url) } };
+    }
+  },
+  nflverseCache: {
+    label: "Cached nflverse downloads",
+    load: async ({ url }) => {
+      const meta = cacheMeta(url);
+      if (!meta || !fs.existsSync(cacheFile(url))) throw new Error(`${path.basename(url)} not cached`);
+      return { text: fs.readFileSync(cacheFile(url), "utf8"), dataAt: meta.fetchedAt, detail: { file: path.basename(url), dir: NFLVERSE_CACHE_DIR } };
+    }
+  },
+  localDir: {
+    label: "Local nflverse CSV directory",
+    load: async ({ url }) => {
+      const file = path.join(NFLVERSE_DIR, path.basename(url));
+      if (!fs.existsSync(file)) throw new Error(`${file} not found`);
+      return { text: fs.readFileSync(file, "utf8"), dataAt: fs.statSync(file).mtime.toISOString(), detail: { file: path.basename(url), dir: NFLVERSE_DIR } };
     }
-    if (out.length === 0 && noise < 2.5) noise += 0.05;
   }
+};
 
-  out.sort((a,b)=> (b.totalProj - a.totalProj) || (a.usedSalary - b.usedSalary));
-  return out;
+// Run one adapter, recording the attempt; rethrows its error
+async function loadFrom(id, opts = {}){
+  const now = new Date().toISOString();
+  const prev = SOURCE_STATUS.get(id) || {};
+  try {
+    const out = await DATA_SOURCES[id].load(opts);
+    SOURCE_STATUS.set(id, { ...prev, ok: true, lastAttempt: now, lastSuccess: now, lastError: null, dataAt: out.dataAt, ...out.detail });
+    return out;
+  } catch(e){
+    SOURCE_STATUS.set(id, { ...prev, ok: false, lastAttempt: now, lastError: String(e.message || e) });
+    throw e;
+  }
 }
 
-// ----------------- Routes -----------------
-app.get("/", (_req,res)=> res.redirect("/api/health"));
+// One nflverse release CSV: remote, else the cache, else NFLVERSE_DIR -> { text, from, dataAt }
+async function nflverseCsv(url){
+  const errs = [];
+  for (const id of ["nflverseRemote", "nflverseCache", "localDir"]) {
+    try {
+      const { text, dataAt } = await loadFrom(id, { url });
+      return { text, from: id, dataAt };
+    } catch(e){ errs.push(`${id}: ${e.message}`); }
+  }
+  throw new Error(errs.join("; "));
+}
 
-app.get("/api/health", (_req,res)=>{
-  res.json({
-    ok: true,
-    players: PLAYERS.length,
-    lastRefresh: LAST_REFRESH,
-    source: LAST_SOURCE,
-    sport: CURRENT_SPORT,
-    time: new Date().toISOString()
+const ageMinutes = (iso) => iso ? Math.round((Date.now() - Date.parse(iso)) / 60000) : null;
+const isStale = (iso) => !iso || Date.now() - Date.parse(iso) > REFRESH_MS;
+
+// Per-source status + staleness for /api/health
+function sourcesHealth(){
+  const out = {};
+  for (const [id, src] of Object.entries(DATA_SOURCES)) {
+    const s = SOURCE_STATUS.get(id);
+    out[id] = { label: src.label, ...(s ? { ...s, ageMinutes: ageMinutes(s.dataAt), stale: isStale(s.dataAt) } : { ok: null }) };
+  }
+  out.dkUrl.configured = Boolean(DK_SALARIES_URL);
+  out.nflverseRemote.offline = NFLVERSE_OFFLINE;
+  const cached = fs.existsSync(NFLVERSE_CACHE_DIR) ? fs.readdirSync(NFLVERSE_CACHE_DIR).filter(f => f.endsWith(".csv")) : [];
+  out.nflverseCache.files = cached.map(f => {
+    const fetchedAt = readJson(path.join(NFLVERSE_CACHE_DIR, `${f}.json`))?.fetchedAt || null;
+    return { file: f, fetchedAt, ageMinutes: ageMinutes(fetchedAt), stale: isStale(fetchedAt) };
   });
-});
+  out.localDir.files = fs.existsSync(NFLVERSE_DIR) ? fs.readdirSync(NFLVERSE_DIR).filter(f => f.endsWith(".csv")) : [];
+  return out;
+}
 
-app.get("/api/players", async (_req,res)=>{
-  try { await ensureFresh(); res.json({ players: PLAYERS, sport: CURRENT_SPORT }); }
-  catch(e){ res.status(500).json({ error:String(e.message||e) }); }
-});
+// --------------- freshness ---------------
+async function ensureFresh(){
+  if (!PLAYERS.length) {
+    // configured salary URL first, then nflverse (remote -> cache -> local files)
+    const loaders = [...(DK_SALARIES_URL ? [() => loadDKFromUrl(DK_SALARIES_URL)] : []), () => refreshNflverse()];
+    for (const load of loaders) {
+      try { await load(); return; } catch {/* next source */}
+    }
+    LAST_REFRESH = new Date().toISOString();
+    LAST_DATA_AT = null;
+    LAST_SOURCE = "empty";
+    return;
+  }
+  if (Date.now() - Date.parse(LAST_REFRESH || 0) > REFRESH_MS) {
+    try {
+      if (DK_SALARIES_URL && !String(LAST_SOURCE).startsWith("nflverse")) await loadDKFromUrl(DK_SALARIES_URL);
+      else await refreshNflverse(CURRENT_SITE, NFLVERSE_SCORING);
+    } catch {/* keep previous pool */}
+  }
+}
 
-// Multi-lineup, SPORT-AWARE
-app.post("/api/lineups/optimize", async (req,res)=>{
-  try { await ensureFresh(); } catch {}
-  const body = req.body || {};
-  const c = body.constraints || {};
+// ----------------- Slate store (local JSON files) -----------------
+// STORE_DIR/slates/<id>/slate.json        { id,name,sport,site,mode,source,lastRefresh,createdAt,updatedAt,players,lineupSets }
+// STORE_DIR/slates/<id>/lineups/<set>.json { id,createdAt,solver,constraints,lineups }
+// STORE_DIR/projections.json               custom projection sources + overrides
+// STORE_DIR/scoring.json                   user-defined scoring systems
+const SLATES_DIR = path.join(STORE_DIR, "slates");
+const PROJ_FILE  = path.join(STORE_DIR, "projections.json");
+const SCORING_FILE = path.join(STORE_DIR, "scoring.json");
+const SLATES = new Map(); // id -> slate (players included)
 
-  const sport = (c.sport || CURRENT_SPORT || "NFL").toUpperCase();
-  const roster = ROSTERS[sport] || ROSTERS.NFL;
+function writeJsonAtomic(file, data){
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, file);
+}
+function readJson(file){
+  try { return JSON.parse(fs.readFileSync(file, "utf8")); }
+  catch { return null; }
+}
 
-  const salaryCap    = Number(c.salaryCap ?? roster.cap);
+const SAFE_ID = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const slateDir = (id) => path.join(SLATES_DIR, id);
+const newSlateId = (name) => {
+  const slug = trim(name).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40) || "slate";
+  return `${slug}-${crypto.randomBytes(3).toString("hex")}`;
+};
+
+function loadSlates(){
+  if (!fs.existsSync(SLATES_DIR)) return;
+  for (const id of fs.readdirSync(SLATES_DIR)) {
+    const s = readJson(path.join(slateDir(id), "slate.json"));
+    if (s && s.id === id) SLATES.set(id, s);
+  }
+}
+function saveSlate(slate){
+  slate.updatedAt = new Date().toISOString();
+  SLATES.set(slate.id, slate);
+  writeJsonAtomic(path.join(slateDir(slate.id), "slate.json"), slate);
+  return slate;
+}
+function getSlate(id){
+  return SAFE_ID.test(String(id || "")) ? SLATES.get(id) || null : null;
+}
+function deleteSlate(id){
+  if (!getSlate(id)) return false;
+  SLATES.delete(id);
+  fs.rmSync(slateDir(id), { recursive: true, force: true });
+  return true;
+}
+function slateSummary(s){
+  const { players, lineupSets, ...meta } = s;
+  return { ...meta, players: players.length, lineupSets: lineupSets.length };
+}
+
+// Build a pool for a slate from { csv } | { url } | { nflverse:true, scoring? } | { fromCurrent:true }
+async function loadSlatePool({ csv, url, nflverse, fromCurrent, site, scoring } = {}){
+  if (trim(csv)) return loadFrom("dkUpload", { csv, site });
+  if (trim(url)) return loadFrom("dkUrl", { url, site });
+  if (nflverse) return fetchNflversePool(normSite(site) || CURRENT_SITE, scoring);
+  if (fromCurrent) {
+    if (!PLAYERS.length) throw new Error("No live pool loaded to copy");
+    return { players: PLAYERS.map(p => ({ ...p })), sport: CURRENT_SPORT, site: CURRENT_SITE, mode: CURRENT_MODE, source: LAST_SOURCE };
+  }
+  return null;
+}
+
+async function createSlate(body = {}){
+  const name = trim(body.name);
+  if (!name) throw new Error("Slate needs a { name }");
+  const loaded = await loadSlatePool(body);
+  if (!loaded) throw new Error("Provide { csv }, { url }, { nflverse: true } or { fromCurrent: true }");
+  const now = new Date().toISOString();
+  return saveSlate({
+    id: newSlateId(name), name, sport: loaded.sport, site: loaded.site, mode: loaded.mode,
+    source: loaded.source, lastRefresh: now, createdAt: now,
+    players: applyProjections(loaded.players), lineupSets: []
+  });
+}
+
+// Rename and/or reload a slate's pool; saved lineup sets are kept.
+async function updateSlate(slate, body = {}){
+  if (trim(body.name)) slate.name = trim(body.name);
+  const loaded = await loadSlatePool(body);
+  if (loaded) {
+    Object.assign(slate, { sport: loaded.sport, site: loaded.site, mode: loaded.mode, source: loaded.source, lastRefresh: new Date().toISOString() });
+    slate.players = applyProjections(loaded.players);
+  }
+  return saveSlate(slate);
+}
+
+function saveLineupSet(slate, { solver, constraints, lineups }){
+  const set = { id: `${Date.now().toString(36)}-${crypto.randomBytes(2).toString("hex")}`, createdAt: new Date().toISOString(), solver, constraints, lineups };
+  writeJsonAtomic(path.join(slateDir(slate.id), "lineups", `${set.id}.json`), set);
+  slate.lineupSets.push({ id: set.id, createdAt: set.createdAt, solver, count: lineups.length });
+  saveSlate(slate);
+  return set;
+}
+function getLineupSet(slate, setId){
+  if (!slate.lineupSets.some(x => x.id === setId)) return null;
+  return readJson(path.join(slateDir(slate.id), "lineups", `${setId}.json`));
+}
+function deleteLineupSet(slate, setId){
+  const i = slate.lineupSets.findIndex(x => x.id === setId);
+  if (i < 0) return false;
+  slate.lineupSets.splice(i, 1);
+  fs.rmSync(path.join(slateDir(slate.id), "lineups", `${setId}.json`), { force: true });
+  saveSlate(slate);
+  return true;
+}
+
+function saveProjections(){
+  writeJsonAtomic(PROJ_FILE, {
+    siteWeight: SITE_PROJ_WEIGHT,
+    sources: [...PROJ_SOURCES].map(([name, s]) => ({ name, weight: s.weight, updatedAt: s.updatedAt, rows: [...s.rows] })),
+    overrides: [...PROJ_OVERRIDES]
+  });
+}
+function loadProjections(){
+  const saved = readJson(PROJ_FILE);
+  if (!saved) return;
+  SITE_PROJ_WEIGHT = Number(saved.siteWeight) || 0;
+  for (const s of saved.sources || []) PROJ_SOURCES.set(s.name, { weight: s.weight, updatedAt: s.updatedAt, rows: new Map(s.rows) });
+  for (const [key, v] of saved.overrides || []) PROJ_OVERRIDES.set(key, v);
+}
+
+const saveScoring = () => writeJsonAtomic(SCORING_FILE, [...CUSTOM_SCORING]);
+function loadScoring(){
+  for (const [id, sys] of readJson(SCORING_FILE) || []) CUSTOM_SCORING.set(id, sys);
+}
+
+
+// ----------------- Player controls (locks / excludes / exposure) -----------------
+// Assign players to roster slots (bipartite matching). Returns a slot-ordered
+// array (unfilled slots undefined) or null when some player has no free slot.
+// `pinned` (slot-ordered) players keep their slots and are part of the result.
+function assignSlots(players, rosterCfg, pinned = []){
+  const slotOf = new Array(rosterCfg.slots.length).fill(-1);
+  function tryPlace(pi, seen){
+    for (let si = 0; si < rosterCfg.slots.length; si++) {
+      if (seen[si] || pinned[si] || !rosterCfg.slots[si].allow.includes(players[pi].pos)) continue;
+      seen[si] = true;
+      if (slotOf[si] === -1 || tryPlace(slotOf[si], seen)) { slotOf[si] = pi; return true; }
+    }
+    return false;
+  }
+  for (let pi = 0; pi < players.length; pi++) {
+    if (!tryPlace(pi, [])) return null;
+  }
+  return slotOf.map((pi, si) => pinned[si] || players[pi]);
+}
+
+// Refs may be player IDs or (case-insensitive) names; arrays or comma lists.
+function listRefs(v){
+  if (!v) return [];
+  return (Array.isArray(v) ? v : String(v).split(",")).map(trim).filter(Boolean);
+}
+function findPlayer(pool, ref){
+  const key = String(ref).trim();
+  return pool.find(p => String(p.id) === key) ||
+         pool.find(p => p.name.toUpperCase() === key.toUpperCase()) || null;
+}
+
+// Normalise lock/exclude/exposure inputs against a pool.
+// Exposure may be a single percent for everyone or a { ref: percent } map.
+function resolvePlayerControls(players, { locks, excludes, minExposure, maxExposure } = {}){
+  const errors = [];
+  const resolve = (refs, label) => refs.map(ref => {
+    const p = findPlayer(players, ref);
+    if (!p) errors.push(`${label}: no player "${ref}" in pool`);
+    return p;
+  }).filter(Boolean);
+
+  const excluded = new Set(resolve(listRefs(excludes), "exclude").map(p => p.id));
+  const locked = resolve(listRefs(locks), "lock");
+  for (const p of locked) {
+    if (excluded.has(p.id)) errors.push(`lock: ${p.name} is also excluded`);
+  }
+
+  const exposureMap = (v, label) => {
+    const m = new Map();
+    if (v === undefined || v === null || v === "") return m;
+    if (typeof v === "number" || typeof v === "string") {
+      for (const p of players) m.set(p.id, Number(v));
+      return m;
+    }
+    for (const [ref, pct] of Object.entries(v)) {
+      const p = findPlayer(players, ref);
+      if (!p) { errors.push(`${label}: no player "${ref}" in pool`); continue; }
+      m.set(p.id, Number(pct));
+    }
+    return m;
+  };
+  const minExp = exposureMap(minExposure, "minExposure");
+  const maxExp = exposureMap(maxExposure, "maxExposure");
+
+  return {
+    pool: players.filter(p => !excluded.has(p.id)),
+    locked: [...new Map(locked.map(p => [p.id, p])).values()],
+    minExposure: minExp,
+    maxExposure: maxExp,
+    errors
+  };
+}
+
+// Returns a reason string when the locked players can never form a valid lineup.
+// `bySalary`: the pool is already sorted by salary (callers checking many lock sets).
+function checkLocks(locked, pool, rosterCfg, { salaryCap, maxPerTeam = rosterCfg.defaultMaxPerTeam, bySalary = false } = {}){
+  if (!locked.length) return null;
+  const cap = salaryCap || rosterCfg.cap;
+  const names = (list) => list.map(p => p.name).join(", ");
+
+  if (locked.length > rosterCfg.slots.length)
+    return `${locked.length} players locked but the roster has only ${rosterCfg.slots.length} slots`;
+  const placed = assignSlots(locked, rosterCfg);
+  if (!placed) return `Locked players do not fit the roster slots (${names(locked)})`;
+
+  const byTeam = {};
+  for (const p of locked) (byTeam[p.team] ||= []).push(p);
+  for (const [team, list] of Object.entries(byTeam)) {
+    if (maxPerTeam && list.length > maxPerTeam)
+      return `${list.length} locked players from ${team} exceeds maxPerTeam ${maxPerTeam}`;
+    if (rosterCfg.avoidDstConflict && list.some(p => p.pos === "DST") && list.some(p => p.pos !== "DST"))
+      return `Locked ${team} DST conflicts with locked ${team} players`;
+  }
+
+  // cheapest possible completion of the open slots (most specific slots first)
+  const lockedIds = new Set(locked.map(p => p.id));
+  const open = rosterCfg.slots.filter((_, i) => !placed[i]).sort((a,b)=> a.allow.length - b.allow.length);
+  const spare = pool.filter(p => !lockedIds.has(p.id));
+  if (!bySalary) spare.sort((a,b)=> a.salary - b.salary);
+  let minSalary = locked.reduce((s,p)=> s + p.salary, 0);
+  const used = new Set();
+  for (const slot of open) {
+    const p = spare.find(x => !used.has(x.id) && slot.allow.includes(x.pos));
+    if (!p) return `Not enough players left to fill ${slot.name} around the locks`;
+    used.add(p.id);
+    minSalary += p.salary;
+  }
+  if (minSalary > cap)
+    return `Locks need at least $${minSalary} in salary, over the $${cap} cap (${names(locked)})`;
+  return null;
+}
+
+// Locks for the next lineup: the hard locks plus as many min-exposure players
+// as can join them without breaking the slot/team/cap checks.
+function forcedLocks(locked, forcedIds, pool, rosterCfg, opts){
+  const out = [...locked];
+  if (!forcedIds.size) return out;
+  const ids = new Set(out.map(p => p.id));
+  const bySalary = [...pool].sort((a,b)=> a.salary - b.salary);
+  for (const p of pool) {
+    if (out.length >= rosterCfg.slots.length) break;
+    if (!forcedIds.has(p.id) || ids.has(p.id)) continue;
+    if (!checkLocks([...out, p], bySalary, rosterCfg, { ...opts, bySalary: true })) { out.push(p); ids.add(p.id); }
+  }
+  return out;
+}
+
+// Portfolio-wide exposure bookkeeping. Max exposure bans a player once they hit
+// their share (a non-zero cap always allows at least one lineup, so 20% of 3 is
+// one lineup rather than none); min exposure forces them in whenever they fall behind pace.
+function exposureTracker(count, { minExposure = new Map(), maxExposure = new Map() } = {}){
+  const used = new Map();
+  let built = 0;
+  const cap = (pct) => {
+    const share = clamp(pct, 0, 100);
+    return share > 0 ? Math.max(1, Math.floor(share * count / 100)) : 0;
+  };
+  return {
+    banned(){
+      const out = new Set();
+      for (const [id, pct] of maxExposure) {
+        if ((used.get(id) || 0) >= cap(pct)) out.add(id);
+      }
+      return out;
+    },
+    forced(){
+      const out = new Set();
+      for (const [id, pct] of minExposure) {
+        const target = Math.ceil(clamp(pct, 0, 100) * (built + 1) / 100 - 1e-9);
+        if ((used.get(id) || 0) < target) out.add(id);
+      }
+      return out;
+    },
+    record(lineup){
+      built++;
+      for (const p of lineup) used.set(p.id, (used.get(p.id) || 0) + 1);
+    }
+  };
+}
+
+// Min-exposure targets a finished portfolio missed: forced players that never fit
+// alongside the locks, stack or rules are dropped from a lineup rather than failing it.
+function exposureShortfalls(lineups, players, minExposure){
+  const out = [];
+  for (const [id, pct] of resolvePlayerControls(players, { minExposure }).minExposure) {
+    const target = Math.ceil(clamp(pct, 0, 100) * lineups.length / 100 - 1e-9);
+    const got = lineups.filter(L => L.lineup.some(p => p.id === id)).length;
+    if (got < target) out.push({ id, name: players.find(p => p.id === id).name, minExposure: pct, lineups: got, target });
+  }
+  return out;
+}
+
+// ----------------- Showdown -----------------
+// Optimizer pool for a showdown slate: every player as a FLEX entry plus a CPT
+// entry with its own ID, captain salary and multiplied projection.
+function expandShowdownPool(players, rosterCfg){
+  const mult = rosterCfg.showdown?.captainMult || 1.5;
+  const out = [];
+  for (const p of players) {
+    out.push({ ...p, playerKey: p.id });
+    out.push({
+      ...p,
+      id: p.cptId || `${p.id}_CPT`,
+      pos: "CPT",
+      rosterPos: p.pos,
+      salary: p.cptSalary || Math.round(p.salary * mult / 100) * 100,
+      proj: fmt((p.proj || 0) * mult),
+      mult,
+      playerKey: p.id
+    });
+  }
+  return out;
+}
+
+function showdownRulesOk(lineup, rules, slateTeams){
+  if (rules.eachTeam) {
+    const teams = new Set(lineup.map(p => p.team));
+    for (const t of slateTeams) if (!teams.has(t)) return false;
+  }
+  if (rules.captainTeamMinFlex) {
+    const cpt = lineup.find(p => p.pos === "CPT");
+    if (!cpt) return false;
+    const mates = lineup.filter(p => p.pos !== "CPT" && p.team === cpt.team).length;
+    if (mates < rules.captainTeamMinFlex) return false;
+  }
+  return true;
+}
+
+// ----------------- Stacking rules -----------------
+// Normalised rules (any part may be null):
+//   qb:        { min, max, positions }  pass catchers from the QB's team
+//   bringBack: { min, positions }       players from the QB's opponent
+//   game:      { min }                  players from a single game
+//   team:      { min, positions }       players from a single team (NBA team stacks)
+//   teamMin / teamMax: Map(team -> pct) portfolio share of lineups stacking each team
+const RECEIVER_POS = ["WR", "TE"];
+const BRING_BACK_POS = ["RB", "WR", "TE"];
+
+// Merge request rules over the roster default; false/null turns stacking off.
+// Throws on rules the roster or pool can't support.
+function resolveStackRules(rosterCfg, req, pool, { maxPerTeam } = {}){
+  if (req === false || req === null) return null;
+  const r = { ...(rosterCfg.stack || {}), ...(req || {}) };
+  if (r.needQBStack !== undefined) r.qb ??= r.needQBStack ? { min: r.minReceivers ?? 1, max: r.maxReceivers } : null;
+
+  const rosterPos = new Set(rosterCfg.slots.flatMap(s => s.allow));
+  const size = rosterCfg.slots.length;
+  const errors = [];
+  const rule = (v, label, defaults = {}) => {
+    if (v === undefined || v === null || v === false) return null;
+    const o = typeof v === "object" ? { ...defaults, ...v } : { ...defaults, min: Number(v) };
+    o.min = Number(o.min ?? 1);
+    if (!Number.isInteger(o.min) || o.min < 0 || o.min > size) errors.push(`stack.${label}.min must be 0-${size}`);
+    if (o.max !== undefined) {
+      o.max = Number(o.max);
+      if (!Number.isInteger(o.max) || o.max < o.min) errors.push(`stack.${label}.max must be an integer >= min`);
+    }
+    if (o.positions) {
+      o.positions = listRefs(o.positions).map(x => x.toUpperCase());
+      const bad = o.positions.filter(x => !rosterPos.has(x));
+      if (bad.length) errors.push(`stack.${label}.positions: ${bad.join(", ")} not on this roster`);
+    }
+    return o;
+  };
+
+  const out = {
+    qb: rule(r.qb, "qb", { positions: RECEIVER_POS }),
+    bringBack: rule(r.bringBack, "bringBack", { positions: BRING_BACK_POS }),
+    game: rule(r.game, "game"),
+    team: rule(r.team, "team", { positions: [...rosterPos] }),
+  };
+  if (out.qb) out.qb.max ??= size - 1;
+
+  const stackable = out.qb || out.team;
+  const pct = (v, label) => {
+    const m = new Map();
+    if (v === undefined || v === null) return m;
+    const entries = typeof v === "object" ? Object.entries(v) : [...new Set(pool.map(p => p.team))].map(t => [t, v]);
+    for (const [team, x] of entries) {
+      const val = Number(x);
+      if (!Number.isFinite(val) || val < 0 || val > 100) errors.push(`stack.${label}.${team} must be a percent 0-100`);
+      else m.set(team.toUpperCase(), val);
+    }
+    return m;
+  };
+  // teamExposure: { KC: 30 } (max) or { KC: { min, max } }; maxTeamExposure applies to every team
+  const split = Object.entries(r.teamExposure || {});
+  out.teamMax = pct(r.maxTeamExposure, "maxTeamExposure");
+  for (const [team, v] of pct(Object.fromEntries(split.map(([t, v]) => [t, typeof v === "object" ? v.max ?? 100 : v])), "teamExposure")) out.teamMax.set(team, v);
+  out.teamMin = pct(Object.fromEntries(split.filter(([, v]) => typeof v === "object" && v.min !== undefined).map(([t, v]) => [t, v.min])), "teamExposure");
+  if ((out.teamMax.size || out.teamMin.size) && !stackable) errors.push("stack.teamExposure needs a qb or team stack to spread");
+
+  if (rosterCfg.showdown && (out.qb || out.bringBack || out.team))
+    errors.push("stack rules are for classic rosters; use captainStack for showdown");
+  if (out.qb && !rosterPos.has("QB")) errors.push("stack.qb: this roster has no QB slot");
+  if (out.bringBack && !out.qb) errors.push("stack.bringBack needs a qb stack");
+  if ((out.bringBack || out.game) && !pool.some(p => p.game))
+    errors.push("stack.bringBack / stack.game need opponent data (salary CSV Game Info column)");
+  if (maxPerTeam) {
+    if (out.qb && out.qb.min + 1 > maxPerTeam) errors.push(`stack.qb.min ${out.qb.min} + QB exceeds maxPerTeam ${maxPerTeam}`);
+    if (out.team && out.team.min > maxPerTeam) errors.push(`stack.team.min ${out.team.min} exceeds maxPerTeam ${maxPerTeam}`);
+  }
+  if (errors.length) throw new Error(errors.join("; "));
+  return (out.qb || out.bringBack || out.game || out.team) ? out : null;
+}
+
+const countWhere = (list, f) => list.reduce((c, p) => c + (f(p) ? 1 : 0), 0);
+function mostBy(list, keyOf){
+  const c = {};
+  for (const p of list) { const k = keyOf(p); if (k) c[k] = (c[k] || 0) + 1; }
+  return Object.entries(c).sort((a, b) => b[1] - a[1])[0] || [null, 0];
+}
+
+// The team a lineup "stacks": the QB's team, else the team with the most stack-position players.
+function stackTeamOf(lineup, rules){
+  if (!rules) return null;
+  if (rules.qb) return lineup.find(p => p.pos === "QB")?.team ?? null;
+  if (rules.team) return mostBy(lineup.filter(p => rules.team.positions.includes(p.pos)), p => p.team)[0];
+  return null;
+}
+
+function stackRulesOk(lineup, rules){
+  if (!rules) return true;
+  const qb = lineup.find(p => p.pos === "QB");
+  if (rules.qb) {
+    if (!qb) return false;
+    const recs = countWhere(lineup, p => p.team === qb.team && rules.qb.positions.includes(p.pos));
+    if (recs < rules.qb.min || recs > rules.qb.max) return false;
+  }
+  if (rules.bringBack && countWhere(lineup, p => qb?.opp && p.team === qb.opp && rules.bringBack.positions.includes(p.pos)) < rules.bringBack.min) return false;
+  if (rules.game && mostBy(lineup, p => p.game)[1] < rules.game.min) return false;
+  if (rules.team && mostBy(lineup.filter(p => rules.team.positions.includes(p.pos)), p => p.team)[1] < rules.team.min) return false;
+  return true;
+}
+
+// Pre-pick the stack core for one greedy attempt (on top of the locks):
+// QB + receivers + bring-back, a team stack, then top up a game stack.
+// `team` forces the stack team; `bannedTeams` are at their portfolio share.
+function pickStack(pool, rules, { locked = [], team = null, bannedTeams = new Set(), temperature = 0 } = {}){
+  const picks = [];
+  const current = () => [...locked, ...picks];
+  const free = (p) => !current().some(x => playerKey(x) === playerKey(p));
+  // k distinct players drawn from the top of the value order
+  const choose = (cands, k) => {
+    if (k <= 0) return [];
+    const top = sortByValue(cands.filter(free), temperature).slice(0, Math.max(k + 2, 4));
+    if (top.length < k) return null;
+    const out = [];
+    while (out.length < k) out.push(top.splice(Math.floor(rnd(0, Math.min(top.length, k + 2))), 1)[0]);
+    return out;
+  };
+  const teamOk = (t) => team ? t === team : !bannedTeams.has(t);
+  let anchor = null;
+
+  if (rules.qb) {
+    anchor = locked.find(p => p.pos === "QB");
+    if (!anchor) {
+      const qb = choose(pool.filter(p => p.pos === "QB" && teamOk(p.team)), 1);
+      if (!qb) return null;
+      picks.push(anchor = qb[0]);
+    }
+    const mates = (p) => p.team === anchor.team && rules.qb.positions.includes(p.pos);
+    const recs = choose(pool.filter(mates), rules.qb.min - countWhere(current(), mates));
+    if (!recs) return null;
+    picks.push(...recs);
+    if (rules.bringBack) {
+      const back = (p) => anchor.opp && p.team === anchor.opp && rules.bringBack.positions.includes(p.pos);
+      const bb = choose(pool.filter(back), rules.bringBack.min - countWhere(current(), back));
+      if (!bb) return null;
+      picks.push(...bb);
+    }
+  } else if (rules.team) {
+    const seed = team ? pool.find(p => p.team === team) : choose(pool.filter(p => teamOk(p.team) && rules.team.positions.includes(p.pos)), 1)?.[0];
+    if (!seed) return null;
+    anchor = seed;
+    const mates = (p) => p.team === seed.team && rules.team.positions.includes(p.pos);
+    const more = choose(pool.filter(mates), rules.team.min - countWhere(current(), mates));
+    if (!more) return null;
+    picks.push(...more);
+  }
+
+  if (rules.game) {
+    const g = anchor?.game || choose(pool.filter(p => p.game), 1)?.[0]?.game;
+    if (!g) return null;
+    const inGame = (p) => p.game === g;
+    const fill = choose(pool.filter(p => inGame(p) && p.pos !== "QB" && p.pos !== "DST"), rules.game.min - countWhere(current(), inGame));
+    if (!fill) return null;
+    picks.push(...fill);
+  }
+  return picks;
+}
+
+// Stack rules as ILP constraints on the p${i} binaries (see buildExactModel).
+function addStackConstraints(model, players, rules){
+  const v = (i) => model.variables[`p${i}`];
+  const size = model.constraints.size.equal;
+  if (rules.qb) {
+    players.forEach((qb, qi) => {
+      if (qb.pos !== "QB") return;
+      const lo = `stack_${qi}`, hi = `stackmax_${qi}`, bb = `bring_${qi}`;
+      // receivers - min*qb >= 0 ; receivers + size*qb <= max + size
+      model.constraints[lo] = { min: 0 };
+      model.constraints[hi] = { max: rules.qb.max + size };
+      v(qi)[lo] = -rules.qb.min;
+      v(qi)[hi] = size;
+      if (rules.bringBack) { model.constraints[bb] = { min: 0 }; v(qi)[bb] = -rules.bringBack.min; }
+      players.forEach((p, i) => {
+        if (p.team === qb.team && rules.qb.positions.includes(p.pos)) { v(i)[lo] = 1; v(i)[hi] = 1; }
+        if (rules.bringBack && qb.opp && p.team === qb.opp && rules.bringBack.positions.includes(p.pos)) v(i)[bb] = 1;
+      });
+    });
+  }
+  // "some group reaches min": one binary indicator per group, at least one switched on
+  const anyGroup = (label, keyOf, min) => {
+    const groups = [...new Set(players.map(keyOf).filter(Boolean))];
+    model.constraints[`${label}_any`] = { min: 1 };
+    groups.forEach((g, gi) => {
+      const y = `${label}_y${gi}`, k = `${label}_${gi}`;
+      model.variables[y] = { [`${label}_any`]: 1, [k]: -min };
+      model.binaries[y] = 1;
+      model.constraints[k] = { min: 0 };
+      players.forEach((p, i) => { if (keyOf(p) === g) v(i)[k] = 1; });
+    });
+  };
+  if (rules.game) anyGroup("game", p => p.game, rules.game.min);
+  if (rules.team) anyGroup("tstack", p => rules.team.positions.includes(p.pos) ? p.team : null, rules.team.min);
+}
+
+// Per-solve stack-team spread: banned teams can't be the stack, a forced team must be.
+function setStackTeams(model, players, rules, { banned = new Set(), forced = null } = {}){
+  for (const k of Object.keys(model.constraints)) if (k.startsWith("stteam_")) delete model.constraints[k];
+  players.forEach((p, i) => {
+    const v = model.variables[`p${i}`];
+    for (const k of Object.keys(v)) if (k.startsWith("stteam_")) delete v[k];
+  });
+  if (!rules || !(rules.qb || rules.team)) return;
+  const member = (p) => rules.qb ? p.pos === "QB" : rules.team.positions.includes(p.pos);
+  const limit = (team, bound) => {
+    model.constraints[`stteam_${team}`] = bound;
+    players.forEach((p, i) => { if (p.team === team && member(p)) model.variables[`p${i}`][`stteam_${team}`] = 1; });
+  };
+  const need = rules.qb ? 1 : rules.team.min;
+  for (const t of banned) limit(t, { max: need - 1 });
+  if (forced) limit(forced, { min: need });
+}
+
+// ----------------- Ownership -----------------
+// Imported ownership (projection sources, percent) wins; everyone else gets a
+// heuristic estimate: each position's expected roster spots per lineup, split by
+// a softmax over value (proj per $) and raw projection within the position.
+function modelOwnership(pool, rosterCfg){
+  const demand = {};
+  for (const slot of rosterCfg.slots) {
+    const present = slot.allow.filter(pos => pool.some(p => p.pos === pos));
+    for (const pos of present) demand[pos] = (demand[pos] || 0) + 1 / present.length;
+  }
+  const z = (xs) => {
+    const m = xs.reduce((s, x) => s + x, 0) / xs.length;
+    const sd = Math.sqrt(xs.reduce((s, x) => s + (x - m) ** 2, 0) / xs.length) || 1;
+    return xs.map(x => (x - m) / sd);
+  };
+  const out = new Map();
+  const byPos = pool.reduce((m, p) => { (m[p.pos] ||= []).push(p); return m; }, {});
+  for (const [pos, list] of Object.entries(byPos)) {
+    if (!demand[pos]) continue;
+    const zv = z(list.map(p => (p.proj || 0) / Math.max(1, p.salary)));
+    const zp = z(list.map(p => p.proj || 0));
+    const w = list.map((_, i) => Math.exp(1.2 * zv[i] + 0.8 * zp[i]));
+    const sum = w.reduce((s, x) => s + x, 0);
+    list.forEach((p, i) => out.set(p.id, fmt(clamp(100 * demand[pos] * w[i] / sum, 0.1, 75), 1)));
+  }
+  return out;
+}
+
+// Copies of the pool with `ownership` (percent) and `ownSource` ("import" | "model").
+function withOwnership(pool, rosterCfg){
+  const model = modelOwnership(pool, rosterCfg);
+  return pool.map(p => p.ownership !== undefined
+    ? { ...p, ownSource: "import" }
+    : { ...p, ownership: model.get(p.id) ?? 0.1, ownSource: "model" });
+}
+
+// GPP options from request constraints; throws on bad values.
+function resolveGpp(c = {}){
+  const out = {};
+  if (c.maxOwnership !== undefined && c.maxOwnership !== null && c.maxOwnership !== "") {
+    out.maxOwnership = Number(c.maxOwnership);
+    if (!(out.maxOwnership > 0)) throw new Error("maxOwnership must be a positive percent total");
+  }
+  if (c.maxProductOwnership !== undefined && c.maxProductOwnership !== null && c.maxProductOwnership !== "") {
+    out.maxProductOwnership = Number(c.maxProductOwnership);
+    if (!(out.maxProductOwnership > 0 && out.maxProductOwnership <= 1)) throw new Error("maxProductOwnership must be in (0, 1] (product of ownership fractions)");
+  }
+  if (c.leverage !== undefined && c.leverage !== null && c.leverage !== "") {
+    out.leverage = Number(c.leverage);
+    if (!(out.leverage >= 0 && out.leverage <= 1)) throw new Error("leverage must be between 0 and 1");
+  }
+  return out;
+}
+
+const ownFrac = (p) => clamp((p.ownership ?? 0.1) / 100, 0.0005, 1);
+// Leverage objective: projection discounted by ownership (leverage 1 => a 30%-owned player keeps 70%)
+const leverageScore = (leverage) => (p) => (p.proj || 0) * (1 - leverage * ownFrac(p));
+
+function ownershipStats(lineup){
+  const total = lineup.reduce((s, p) => s + (p.ownership ?? 0), 0);
+  const product = lineup.reduce((s, p) => s * ownFrac(p), 1);
+  return { total: fmt(total, 1), product: Number(product.toPrecision(3)), avg: fmt(total / Math.max(1, lineup.length), 1) };
+}
+
+function gppOk(lineup, { maxOwnership, maxProductOwnership } = {}){
+  if (maxOwnership !== undefined && lineup.reduce((s, p) => s + (p.ownership ?? 0), 0) > maxOwnership + 1e-9) return false;
+  if (maxProductOwnership !== undefined && lineup.reduce((s, p) => s * ownFrac(p), 1) > maxProductOwnership) return false;
+  return true;
+}
+
+// ----------------- Lineup rules (custom groups / conditionals) -----------------
+// constraints.rules: [{ type, ..., soft?, penalty?, name? }]
+//   atMost  { count, <selector> }        no more than `count` matching players
+//   atLeast { count, <selector> }        at least `count` matching players
+//   ifThen  { if: <selector>, then: <selector>, count = 1 }   any `if` player => `count` of `then`
+//   never   { a: <selector>, b: <selector>, sameTeam? }        no `a` player with a `b` player
+// selector: { players: [id|name], teams, positions, games, minGameTotal, maxGameTotal,
+// minTeamTotal, maxTeamTotal } (fields AND together; a string or array is shorthand for players).
+// Game / implied team totals come from constraints.gameTotals ({ "BUF@KC": 51.5 }) and
+// constraints.teamTotals ({ KC: 27.25 }); the salary CSVs carry no Vegas lines.
+// Hard rules are enforced; soft ones cost `penalty` projected points (default 5) and each
+// lineup lists the soft rules it breaks.
+const RULE_TYPES = ["atMost", "atLeast", "ifThen", "never"];
+const RULE_PENALTY = 5;
+const SELECTOR_FIELDS = ["players", "teams", "positions", "games", "minGameTotal", "maxGameTotal", "minTeamTotal", "maxTeamTotal"];
+
+// Normalised rules hold plain id Sets so they survive the copy into the optimizer worker.
+function resolveRules(rules, pool, rosterCfg, { gameTotals, teamTotals } = {}){
+  if (rules === undefined || rules === null) return [];
+  if (!Array.isArray(rules)) throw new Error("rules must be an array");
+  const size = rosterCfg.slots.length;
+  const rosterPos = new Set(rosterCfg.slots.flatMap(s => s.allow));
+  const teams = new Set(pool.map(p => p.team));
+  const games = new Set(pool.map(p => p.game).filter(Boolean));
+  const errors = [];
+
+  const totalsMap = (v, label) => {
+    const m = new Map();
+    if (v === undefined || v === null) return m;
+    if (typeof v !== "object" || Array.isArray(v)) { errors.push(`${label} must be an object like { "BUF@KC": 51.5 }`); return m; }
+    for (const [k, x] of Object.entries(v)) {
+      const t = Number(x);
+      if (x === null || x === "" || !Number.isFinite(t) || t < 0) errors.push(`${label}.${k} must be a number >= 0`);
+      else m.set(k.toUpperCase(), t);
+    }
+    return m;
+  };
+  const totals = { game: totalsMap(gameTotals, "gameTotals"), team: totalsMap(teamTotals, "teamTotals") };
+  const keyOf = { game: (p) => String(p.game || "").toUpperCase(), team: (p) => p.team };
+  const field = { game: ["gameTotals", "GameTotal", '{ "BUF@KC": 51.5 }'], team: ["teamTotals", "TeamTotal", "{ KC: 27.25 }"] };
+
+  // [lo, hi] for min<Kind>Total / max<Kind>Total, checked against the request's totals
+  const totalRange = (sel, kind, label) => {
+    const [source, suffix, example] = field[kind];
+    const [min, max] = [sel[`min${suffix}`], sel[`max${suffix}`]];
+    if (min === undefined && max === undefined) return null;
+    const [lo, hi] = [min === undefined ? -Infinity : Number(min), max === undefined ? Infinity : Number(max)];
+    if (Number.isNaN(lo) || Number.isNaN(hi)) errors.push(`${label}: min${suffix} / max${suffix} must be numbers`);
+    if (!totals[kind].size) { errors.push(`${label}: min${suffix} / max${suffix} need constraints.${source}, e.g. ${example}`); return [lo, hi]; }
+    const missing = [...new Set(pool.map(keyOf[kind]).filter(k => k && !totals[kind].has(k)))];
+    if (missing.length) errors.push(`${label}: constraints.${source} has no total for ${missing.slice(0, 6).join(", ")}${missing.length > 6 ? ", …" : ""}`);
+    return [lo, hi];
+  };
+  const inRange = (v, range) => !range || (v !== undefined && v >= range[0] && v <= range[1]);
+
+  const select = (sel, label) => {
+    if (typeof sel === "string" || Array.isArray(sel)) sel = { players: sel };
+    if (!sel || typeof sel !== "object") { errors.push(`${label}: expected a selector { ${SELECTOR_FIELDS.join(", ")} }`); return new Set(); }
+    const unknown = Object.keys(sel).filter(k => sel[k] !== undefined && !SELECTOR_FIELDS.includes(k));
+    if (unknown.length) { errors.push(`${label}: unsupported selector field ${unknown.join(", ")} (use ${SELECTOR_FIELDS.join(", ")})`); return new Set(); }
+    const refs = listRefs(sel.players);
+    const upper = (v) => listRefs(v).map(x => x.toUpperCase());
+    const [tms, poss, gms] = [upper(sel.teams), upper(sel.positions), upper(sel.games)];
+    const [gameRange, teamRange] = [totalRange(sel, "game", label), totalRange(sel, "team", label)];
+    if (!refs.length && !tms.length && !poss.length && !gms.length && !gameRange && !teamRange) { errors.push(`${label}: selector is empty`); return new Set(); }
+    // a showdown player's CPT and FLEX entries share one playerKey
+    const keys = new Set();
+    for (const ref of refs) {
+      const p = findPlayer(pool, ref);
+      if (p) keys.add(playerKey(p)); else errors.push(`${label}: no player "${ref}" in pool`);
+    }
+    for (const t of tms) if (!teams.has(t)) errors.push(`${label}: no team "${t}" in pool`);
+    for (const pos of poss) if (!rosterPos.has(pos)) errors.push(`${label}: position ${pos} not on this roster`);
+    for (const g of gms) if (![...games].some(x => x.toUpperCase() === g)) errors.push(`${label}: no game "${g}" in pool`);
+    return new Set(pool.filter(p =>
+      (!refs.length || keys.has(playerKey(p))) &&
+      (!tms.length || tms.includes(p.team)) &&
+      (!poss.length || poss.includes(p.rosterPos || p.pos)) &&
+      (!gms.length || gms.includes(String(p.game).toUpperCase())) &&
+      inRange(totals.game.get(keyOf.game(p)), gameRange) &&
+      inRange(totals.team.get(keyOf.team(p)), teamRange)
+    ).map(p => p.id));
+  };
+  const countOf = (v, label, dflt) => {
+    const c = Number(v ?? dflt);
+    if (!Number.isInteger(c) || c < 0 || c > size) errors.push(`${label}.count must be an integer 0-${size}`);
+    return c;
+  };
+
+  const out = rules.map((r, i) => {
+    const label = `rules[${i}]`;
+    if (!r || !RULE_TYPES.includes(r.type)) { errors.push(`${label}.type must be one of ${RULE_TYPES.join(", ")}`); return null; }
+    const penalty = Number(r.penalty ?? RULE_PENALTY);
+    if (!(penalty >= 0)) errors.push(`${label}.penalty must be >= 0`);
+    const base = { index: i, type: r.type, name: trim(r.name) || `${label} ${r.type}`, soft: Boolean(r.soft), penalty };
+    if (r.type === "atMost" || r.type === "atLeast") {
+      // the rule's own fields besides these are its selector
+      const sel = Object.fromEntries(Object.entries(r).filter(([k]) => !["type", "count", "soft", "penalty", "name"].includes(k)));
+      const group = select(sel, label);
+      const count = countOf(r.count, label);
+      if (r.type === "atLeast" && !r.soft && group.size < count) errors.push(`${label}: only ${group.size} players match, need ${count}`);
+      return { ...base, count, group };
+    }
+    if (r.type === "ifThen") {
+      return { ...base, count: countOf(r.count, label, 1), if: select(r.if, `${label}.if`), then: select(r.then, `${label}.then`) };
+    }
+    return { ...base, a: select(r.a, `${label}.a`), b: select(r.b, `${label}.b`), sameTeam: Boolean(r.sameTeam) };
+  });
+  if (errors.length) throw new Error(errors.join("; "));
+  return out;
+}
+
+// Does the lineup keep rule `r`?
+function ruleOk(lineup, r){
+  const picked = (set) => countWhere(lineup, p => set.has(p.id));
+  switch (r.type) {
+    case "atMost":  return picked(r.group) <= r.count;
+    case "atLeast": return picked(r.group) >= r.count;
+    case "ifThen":  return !picked(r.if) || picked(r.then) >= r.count;
+    case "never":   return !lineup.some(a => r.a.has(a.id) && lineup.some(b => b !== a && r.b.has(b.id) && (!r.sameTeam || b.team === a.team)));
+  }
+  return true;
+}
+const rulesBroken = (lineup, rules, soft) => rules.filter(r => r.soft === soft && !ruleOk(lineup, r));
+const softViolations = (lineup, rules) => rulesBroken(lineup, rules, true).map(r => ({ rule: r.index, name: r.name, penalty: r.penalty }));
+
+// Greedy pruning: would adding `p` already break a hard atMost / never rule?
+function rulesAllowAdd(lineup, p, rules){
+  for (const r of rules) {
+    if (r.soft) continue;
+    if (r.type === "atMost" && r.group.has(p.id) && countWhere(lineup, x => r.group.has(x.id)) >= r.count) return false;
+    if (r.type === "never") {
+      const clash = (a, b) => r.a.has(a.id) && r.b.has(b.id) && (!r.sameTeam || a.team === b.team);
+      if (lineup.some(x => clash(p, x) || clash(x, p))) return false;
+    }
+  }
+  return true;
+}
+
+// Rules as ILP rows on the exact model. A soft rule gets one binary slack column that
+// relaxes all of its rows at once and costs `penalty` projected points.
+function addRuleConstraints(model, players, rules, size){
+  const col = (i) => model.variables[`p${i}`];
+  const slack = (r, k, coef) => {
+    if (!r.soft) return;
+    const s = `rslack_${r.index}`;
+    model.variables[s] ||= { proj: -r.penalty };
+    model.binaries[s] = 1;
+    model.variables[s][k] = coef;
+  };
+  for (const r of rules) {
+    if (r.type === "atMost" || r.type === "atLeast") {
+      const k = `rule_${r.index}`;
+      model.constraints[k] = r.type === "atMost" ? { max: r.count } : { min: r.count };
+      players.forEach((p, i) => { if (r.group.has(p.id)) col(i)[k] = 1; });
+      slack(r, k, r.type === "atMost" ? -size : size);
+    } else if (r.type === "ifThen") {
+      // for each `if` player a: sum(then) - count * x_a >= 0
+      players.forEach((a, ai) => {
+        if (!r.if.has(a.id)) return;
+        const k = `rule_${r.index}_${ai}`;
+        model.constraints[k] = { min: 0 };
+        players.forEach((p, i) => { if (r.then.has(p.id)) col(i)[k] = 1; });
+        col(ai)[k] = (col(ai)[k] || 0) - r.count;
+        slack(r, k, r.count);
+      });
+    } else {
+      // for each `a` player: sum(b partners) + M * x_a <= M
+      players.forEach((a, ai) => {
+        if (!r.a.has(a.id)) return;
+        const partners = players.map((p, i) => i).filter(i => i !== ai && r.b.has(players[i].id) && (!r.sameTeam || players[i].team === a.team));
+        if (!partners.length) return;
+        const k = `rule_${r.index}_${ai}`, M = partners.length;
+        model.constraints[k] = { max: M };
+        for (const i of partners) col(i)[k] = 1;
+        col(ai)[k] = (col(ai)[k] || 0) + M;
+        slack(r, k, -M);
+      });
+    }
+  }
+}
+
+// ----------------- Optimizer core -----------------
+function sortByValue(arr, temperature=0){
+  // Value density with small randomized jitter
+  return [...arr].sort((a,b)=>{
+    const va = (a.projAdj)/Math.max(1,a.salary) + (temperature ? rnd(-temperature,temperature)/1000 : 0);
+    const vb = (b.projAdj)/Math.max(1,b.salary) + (temperature ? rnd(-temperature,temperature)/1000 : 0);
+    if (vb !== va) return vb - va;
+    return (b.projAdj - a.projAdj);
+  });
+}
+
+function buildLineupStrict(players, rosterCfg, {
+  salaryCap,
+  noise = 1.0,
+  temperature = 0.6,
+  maxPerTeam = rosterCfg.defaultMaxPerTeam,
+  tries = 300,
+  locks = [],
+  stack = rosterCfg.stack,   // resolved rules (resolveStackRules)
+  stackTeam = null,          // force this team as the stack
+  bannedStackTeams = new Set(),
+  pinned = [],               // slot-ordered players that must stay in their slot (late swap)
+  score = null,              // objective per player (leverage); defaults to proj
+  maxOwnership,              // GPP: cumulative ownership cap (percent)
+  maxProductOwnership,       // GPP: product-of-ownership cap (fractions)
+  rules = []                 // resolved custom rules (resolveRules)
+} = {}){
+  const cap = salaryCap || rosterCfg.cap;
+  const pinnedPlayers = pinned.filter(Boolean);
+  locks = locks.filter(l => !pinnedPlayers.some(p => p.id === l.id));
+  const lockSlots = assignSlots(locks, rosterCfg, pinned);
+  if (!lockSlots) return null;
+  const maxRecs = stack?.qb ? stack.qb.max : Infinity;
+  const slateTeams = new Set(players.map(p => p.team));
+  // salary kept in reserve so early picks can't price out the open slots: the cheapest distinct
+  // players that fill them, most specific slots first (as in checkLocks)
+  const slotOrder = rosterCfg.slots.map((_, si) => si).sort((a,b)=> rosterCfg.slots[a].allow.length - rosterCfg.slots[b].allow.length);
+  const cheapest = rosterCfg.slots.map(slot => players.filter(p => slot.allow.includes(p.pos)).sort((a,b)=> a.salary - b.salary));
+  // hard atLeast / ifThen rules: the group each one still needs players from, given a lineup
+  const required = rules.filter(r => !r.soft && (r.type === "atLeast" || r.type === "ifThen"));
+  const owedGroups = (list) => required
+    .filter(r => r.type === "atLeast" || list.some(x => r.if.has(x.id)))
+    .map(r => { const group = r.type === "atLeast" ? r.group : r.then; return { group, count: r.count, owed: r.count - countWhere(list, x => group.has(x.id)) }; })
+    .filter(g => g.owed > 0);
+  let best = null;
+
+  for(let attempt=0; attempt<tries; attempt++){
+    const pool = players.map(p => ({ ...p, projAdj: (score ? score(p) : p.proj) + (noise ? rnd(-noise, noise) : 0) }));
+    const poolByPos = pool.reduce((m,p)=>{ (m[p.pos] ||= []).push(p); return m; }, {});
+    for(const pos in poolByPos) poolByPos[pos] = sortByValue(poolByPos[pos], temperature);
+
+    const taken = new Set();
+    const teamCount = {};
+    const lineup = [];
+    const bySlot = new Array(rosterCfg.slots.length);
+    let used = 0, ownSum = 0;
+
+    // cheapest completion of the open slots other than `si` once `p` takes it
+    function reserveAfter(p, si){
+      const held = new Set([playerKey(p)]);
+      let sum = 0;
+      for (const oi of slotOrder) {
+        if (oi === si || bySlot[oi]) continue;
+        const c = cheapest[oi].find(x => !taken.has(playerKey(x)) && !held.has(playerKey(x)));
+        if (!c) return Infinity;
+        held.add(playerKey(c));
+        sum += c.salary;
+      }
+      return sum;
+    }
+    function canAdd(p, addingPos, si){
+      if (taken.has(playerKey(p))) return false;
+      if (used + p.salary + reserveAfter(p, si) > cap) return false;
+      if (maxOwnership !== undefined && ownSum + (p.ownership ?? 0) > maxOwnership) return false;
+      const cnt = (teamCount[p.team]||0) + 1;
+      if (maxPerTeam && cnt > maxPerTeam) return false;
+      if (rules.length && !rulesAllowAdd(lineup, p, rules)) return false;
+      // keep enough open slots for the players the hard atLeast / ifThen rules still need
+      if (required.length && owedGroups([...lineup, p]).some(g => g.owed > rosterCfg.slots.length - lineup.length - 1)) return false;
+
+      // QB stack ceiling (maxReceivers)
+      if (stack?.qb && stack.qb.positions.includes(p.pos)) {
+        const qb = lineup.find(x => x.pos === "QB");
+        if (qb && qb.team === p.team && countWhere(lineup, x => x.team === qb.team && stack.qb.positions.includes(x.pos)) >= maxRecs) return false;
+      }
+
+      // NFL-only conflicts with DST
+      if (rosterCfg.avoidDstConflict){
+        if (addingPos === "DST"){
+          if (lineup.some(x => x.pos !== "DST" && x.team === p.team)) return false;
+        } else {
+          if (lineup.some(x => x.pos === "DST" && x.team === p.team)) return false;
+        }
+      }
+      return true;
+    }
+    function add(p, si){
+      taken.add(playerKey(p));
+      teamCount[p.team] = (teamCount[p.team]||0) + 1;
+      lineup.push(p);
+      bySlot[si] = p;
+      used += p.salary;
+      ownSum += p.ownership ?? 0;
+    }
+
+    // Locked players go in first, then this attempt's stack core, in the slots the matching gave them.
+    const picks = stack ? pickStack(pool, stack, { locked: [...pinnedPlayers, ...locks], team: stackTeam, bannedTeams: bannedStackTeams, temperature }) : [];
+    if (!picks) continue;
+    const fixedSlots = picks.length ? assignSlots([...locks, ...picks], rosterCfg, pinned) : lockSlots;
+    if (!fixedSlots) continue;
+    const pickIds = new Set(picks.map(p => p.id));
+    fixedSlots.forEach((l, si) => { if (l && !pickIds.has(l.id)) add(pool.find(p => p.id === l.id) || { ...l, projAdj: l.proj }, si); });
+    if (used > cap) return null;
+    let picksOk = true;
+    fixedSlots.forEach((l, si) => {
+      if (!l || !pickIds.has(l.id) || !picksOk) return;
+      if (canAdd(l, l.pos, si)) add(l, si); else picksOk = false;
+    });
+    if (!picksOk) continue;
+
+    // Then the players hard atLeast / ifThen rules need, best value first, each in the most
+    // specific open slot that takes them.
+    // (an ifThen can come due when one of these players is its `if`, so re-check after each group)
+    let owedOk = true;
+    for (let next; owedOk && (next = owedGroups(lineup)[0]); ) {
+      const { group, count } = next;
+      for (const p of sortByValue(pool.filter(x => group.has(x.id) && !taken.has(playerKey(x))), temperature)) {
+        if (countWhere(lineup, x => group.has(x.id)) >= count) break;
+        const si = slotOrder.find(oi => !bySlot[oi] && rosterCfg.slots[oi].allow.includes(p.pos));
+        if (si !== undefined && canAdd(p, p.pos, si)) add(p, si);
+      }
+      owedOk = countWhere(lineup, x => group.has(x.id)) >= count;
+    }
+    if (!owedOk) continue;
+
+    // Fill each slot strictly by allowed positions.
+    for (const [si, slot] of rosterCfg.slots.entries()) {
+      if (bySlot[si]) continue;
+      const allowed = slot.allow;
+
+      // merged candidate list for this slot; a multi-position slot (FLEX, showdown FLEX/UTIL)
+      // is re-ranked by value so one position's list can't fill the whole top K
+      let more = [];
+      for (const pos of allowed) {
+        if (poolByPos[pos]) more = more.concat(poolByPos[pos].filter(x=>!taken.has(playerKey(x))));
+      }
+      if (allowed.length > 1) more = sortByValue(more, temperature);
+      // small random pick from top K to diversify
+      const K = Math.max(5, Math.ceil(more.length * 0.15));
+      const cands = more.slice(0, K);
+
+      const pick = cands.find(p => canAdd(p, allowed.length===1 ? allowed[0] : p.pos, si));
+      if (!pick) {
+        // widen to top 25%
+        const fits = (p) => canAdd(p, allowed.length===1 ? allowed[0] : p.pos, si);
+        // then to anyone who still fits under the cap
+        const alt = more.slice(0, Math.max(K, Math.ceil(more.length*0.25))).find(fits) || more.find(fits);
+        if (!alt) { lineup.length = 0; break; } // give up this attempt
+        add(alt, si);
+        continue;
+      }
+      add(pick, si);
+    }
+
+    if (lineup.length !== rosterCfg.slots.length) continue;
+
+    if (!stackRulesOk(lineup, stack)) continue;
+    const team = stackTeamOf(lineup, stack);
+    if (stackTeam ? team !== stackTeam : bannedStackTeams.has(team)) continue;
+
+    if (rosterCfg.showdown && !showdownRulesOk(lineup, rosterCfg.showdown, slateTeams)) continue;
+    if (!gppOk(lineup, { maxOwnership, maxProductOwnership })) continue;
+    if (rules.length && rulesBroken(lineup, rules, false).length) continue;
+
+    const soft = rules.some(r => r.soft) ? softViolations(lineup, rules) : null;
+    const projSum = fmt(lineup.reduce((s,p)=> s + (p.projAdj || p.proj || 0), 0));
+    const objective = projSum - (soft ? soft.reduce((s, v) => s + v.penalty, 0) : 0);
+    const totalProj = score ? fmt(lineup.reduce((s,p)=> s + (p.proj || 0), 0)) : projSum;
+    const candidate = {
+      usedSalary: used, totalProj, objective, lineup: bySlot.map(({projAdj, ...rest})=>rest),
+      ...(team ? { stackTeam: team } : {}), ...(soft ? { ruleViolations: soft } : {})
+    };
+    if (!best || candidate.objective > best.objective || (candidate.objective===best.objective && candidate.usedSalary<best.usedSalary)){
+      best = candidate;
+    }
+  }
+  if (!best) return null;
+  const { objective, ...out } = best;
+  return out;
+}
+
+function generateLineups(players, rosterCfg, {
+  salaryCap,
+  count = 20,
+  noise = 1.2,
+  temperature = 0.6,
+  maxPerTeam = rosterCfg.defaultMaxPerTeam,
+  minDiff = rosterCfg.defaultMinDiff,
+  triesPerLineup = 300,
+  locks,
+  excludes,
+  minExposure,
+  maxExposure,
+  stack = rosterCfg.stack,
+  maxOwnership,
+  maxProductOwnership,
+  leverage = 0,
+  rules = [],
+  deadline = Infinity,   // Date.now() after which we stop and return what we have
+  maxStall = 100,        // consecutive duplicate / too-similar candidates before giving up
+  onProgress             // ({ found, attempts, lineup? }) per new lineup and ~4x a second
+} = {}){
+  const ctl = resolvePlayerControls(players, { locks, excludes, minExposure, maxExposure });
+  if (ctl.errors.length) throw new Error(ctl.errors.join("; "));
+  const lockErr = checkLocks(ctl.locked, ctl.pool, rosterCfg, { salaryCap, maxPerTeam });
+  if (lockErr) throw new Error(lockErr);
+
+  const score = leverage ? leverageScore(leverage) : null;
+  const exposure = exposureTracker(count, ctl);
+  // stack-team spread reuses the exposure pacing, keyed by team
+  const spread = exposureTracker(count, { minExposure: stack?.teamMin, maxExposure: stack?.teamMax });
+  const out = [];
+  const seen = new Set();
+  let attempts = 0, stall = 0, lastTick = Date.now();
+
+  while (out.length < count && Date.now() < deadline) {
+    attempts++;
+    const banned = exposure.banned();
+    const pool = ctl.pool.filter(p => !banned.has(p.id));
+    const lineupLocks = forcedLocks(ctl.locked, exposure.forced(), pool, rosterCfg, { salaryCap, maxPerTeam });
+    const bannedStackTeams = spread.banned();
+    const stackTeam = [...spread.forced()].find(t => !bannedStackTeams.has(t)) || null;
+    const build = (locks, team) => buildLineupStrict(pool, rosterCfg, {
+      salaryCap, noise, temperature, maxPerTeam, tries: triesPerLineup, locks, stack, stackTeam: team, bannedStackTeams,
+      score, maxOwnership, maxProductOwnership, rules
+    });
+    let cand = build(lineupLocks, stackTeam);
+    // players (or a stack team) behind their min-exposure pace may not fit; fall back to the plain locks
+    if (!cand && (lineupLocks.length > ctl.locked.length || stackTeam)) cand = build(ctl.locked, null);
+    if (!cand) break;
+
+    // diversity & duplicate check
+    let unique = true;
+    for (const L of out) {
+      if (symDiffSize(L.lineup, cand.lineup) < minDiff) { unique = false; break; }
+    }
+    const key = uniqKey(cand.lineup);
+    if (seen.has(key)) unique = false;
+
+    if (unique) {
+      cand.ownership = ownershipStats(cand.lineup);
+      if (score) cand.leverageProj = fmt(cand.lineup.reduce((s, p) => s + score(p), 0));
+      out.push(cand);
+      seen.add(key);
+      exposure.record(cand.lineup);
+      spread.record(cand.stackTeam ? [{ id: cand.stackTeam }] : []);
+      stall = 0;
+      onProgress?.({ found: out.length, attempts, lineup: cand });
+    } else {
+      // minDiff can be unreachable for the pool; stop instead of spinning forever
+      if (++stall >= maxStall) break;
+      // slightly increase randomness to search new space
+      noise *= 1.02;
+      temperature *= 1.02;
+    }
+    if (out.length === 0 && noise < 2.5) noise += 0.05;
+    if (onProgress && Date.now() - lastTick > 250) { lastTick = Date.now(); onProgress({ found: out.length, attempts }); }
+  }
+
+  const rank = score ? (L) => L.leverageProj : (L) => L.totalProj;
+  out.sort((a,b)=> (rank(b) - rank(a)) || (a.usedSalary - b.usedSalary));
+  return out;
+}
+
+// ----------------- Exact solver (ILP) -----------------
+// Hall-type slot constraints: for every set of positions, no more players may be
+// drawn from it than there are slots accepting at least one of those positions.
+function slotCountConstraints(rosterCfg){
+  const positions = [...new Set(rosterCfg.slots.flatMap(s => s.allow))];
+  const total = rosterCfg.slots.length;
+  const out = [];
+  for (let mask = 1; mask < (1 << positions.length); mask++) {
+    const set = positions.filter((_, i) => mask & (1 << i));
+    const max = rosterCfg.slots.filter(s => s.allow.some(a => set.includes(a))).length;
+    if (max < total) out.push({ set, max });
+  }
+  return out;
+}
+
+function buildExactModel(players, rosterCfg, { salaryCap, maxPerTeam, stack = rosterCfg.stack, score = null, maxOwnership, maxProductOwnership, rules = [] }){
+  const cap = salaryCap || rosterCfg.cap;
+  const size = rosterCfg.slots.length;
+  const teamLimit = maxPerTeam || size;
+  const model = {
+    optimize: "proj",
+    opType: "max",
+    constraints: { cap: { max: cap }, size: { equal: size } },
+    variables: {},
+    binaries: {}
+  };
+
+  const slotRules = slotCountConstraints(rosterCfg);
+  slotRules.forEach((r, i) => { model.constraints[`slots_${i}`] = { max: r.max }; });
+  if (maxOwnership !== undefined) model.constraints.own = { max: maxOwnership };
+  if (maxProductOwnership !== undefined) model.constraints.lprod = { max: Math.log(maxProductOwnership) };
+
+  players.forEach((p, i) => {
+    const key = `p${i}`;
+    const v = { proj: score ? score(p) : (p.proj || 0), cap: p.salary, size: 1 };
+    // GPP: sum of ownership %, and the product as a sum of logs
+    if (maxOwnership !== undefined) v.own = p.ownership ?? 0;
+    if (maxProductOwnership !== undefined) v.lprod = Math.log(ownFrac(p));
+    slotRules.forEach((r, ri) => { if (r.set.includes(p.pos)) v[`slots_${ri}`] = 1; });
+
+    // Team limit; with DST conflicts a chosen DST uses up the whole allowance
+    // so no offensive player from its team can join it.
+    v[`team_${p.team}`] = (rosterCfg.avoidDstConflict && p.pos === "DST") ? teamLimit : 1;
+    model.constraints[`team_${p.team}`] = { max: teamLimit };
+
+    model.variables[key] = v;
+    model.binaries[key] = 1;
+  });
+
+  // Showdown: a player's CPT and FLEX entries are exclusive; team/captain rules
+  const byKey = {};
+  players.forEach((p, i) => { (byKey[playerKey(p)] ||= []).push(i); });
+  for (const [key, idx] of Object.entries(byKey)) {
+    if (idx.length < 2) continue;
+    model.constraints[`one_${key}`] = { max: 1 };
+    for (const i of idx) model.variables[`p${i}`][`one_${key}`] = 1;
+  }
+  const sd = rosterCfg.showdown;
+  if (sd?.eachTeam) {
+    for (const t of new Set(players.map(p => p.team))) {
+      model.constraints[`has_${t}`] = { min: 1 };
+      players.forEach((p, i) => { if (p.team === t) model.variables[`p${i}`][`has_${t}`] = 1; });
+    }
+  }
+  if (sd?.captainTeamMinFlex) {
+    players.forEach((cpt, ci) => {
+      if (cpt.pos !== "CPT") return;
+      const k = `cptstack_${ci}`;
+      model.constraints[k] = { min: 0 };
+      model.variables[`p${ci}`][k] = -sd.captainTeamMinFlex;
+      players.forEach((p, i) => { if (p.pos !== "CPT" && p.team === cpt.team) model.variables[`p${i}`][k] = 1; });
+    });
+  }
+
+  if (stack) addStackConstraints(model, players, stack);
+  if (rules.length) addRuleConstraints(model, players, rules, size);
+  return model;
+}
+
+function solveLineupsExact(allPlayers, rosterCfg, {
+  salaryCap,
+  count = 1,
+  maxPerTeam = rosterCfg.defaultMaxPerTeam,
+  minDiff = 0,
+  locks,
+  excludes,
+  minExposure,
+  maxExposure,
+  stack = rosterCfg.stack,
+  maxOwnership,
+  maxProductOwnership,
+  leverage = 0,
+  rules = [],
+  deadline = Infinity,
+  onProgress
+} = {}){
+  const ctl = resolvePlayerControls(allPlayers, { locks, excludes, minExposure, maxExposure });
+  if (ctl.errors.length) throw new Error(ctl.errors.join("; "));
+  const lockErr = checkLocks(ctl.locked, ctl.pool, rosterCfg, { salaryCap, maxPerTeam });
+  if (lockErr) throw new Error(lockErr);
+
+  const players = ctl.pool;
+  const score = leverage ? leverageScore(leverage) : null;
+  const model = buildExactModel(players, rosterCfg, { salaryCap, maxPerTeam, stack, score, maxOwnership, maxProductOwnership, rules });
+  const size = rosterCfg.slots.length;
+  // symDiff >= minDiff  <=>  overlap <= size - ceil(minDiff/2); always forbid exact repeats
+  const maxOverlap = Math.min(size - 1, size - Math.ceil(minDiff / 2));
+  const exposure = exposureTracker(count, ctl);
+  const spread = exposureTracker(count, { minExposure: stack?.teamMin, maxExposure: stack?.teamMax });
+  const out = [];
+
+  // Per-solve fixings: locks and min-exposure players forced to 1, max-exposure bans to 0.
+  const fixVars = (ids, bound) => {
+    players.forEach((p, i) => {
+      const k = `fix_${i}`;
+      if (!ids.has(p.id)) return;
+      model.constraints[k] = bound;
+      model.variables[`p${i}`][k] = 1;
+    });
+  };
+  const clearFixes = () => {
+    players.forEach((_, i) => {
+      delete model.constraints[`fix_${i}`];
+      delete model.variables[`p${i}`][`fix_${i}`];
+    });
+  };
+
+  let attempts = 0;
+  while (out.length < count && Date.now() < deadline) {
+    attempts++;
+    const banned = exposure.banned();
+    const lockIds = new Set(ctl.locked.map(p => p.id));
+    for (const p of ctl.locked) banned.delete(p.id);
+    const pool = players.filter(p => !banned.has(p.id));
+    const forcedIds = new Set(forcedLocks(ctl.locked, exposure.forced(), pool, rosterCfg, { salaryCap, maxPerTeam }).map(p => p.id));
+
+    const bannedStackTeams = spread.banned();
+    const stackTeam = [...spread.forced()].find(t => !bannedStackTeams.has(t)) || null;
+
+    clearFixes();
+    fixVars(banned, { max: 0 });
+    fixVars(forcedIds, { min: 1 });
+    setStackTeams(model, players, stack, { banned: bannedStackTeams, forced: stackTeam });
+    let sol = lpSolver.Solve(model);
+    if (!sol.feasible && (forcedIds.size > lockIds.size || stackTeam)) {
+      clearFixes();
+      fixVars(banned, { max: 0 });
+      fixVars(lockIds, { min: 1 });
+      setStackTeams(model, players, stack, { banned: bannedStackTeams });
+      sol = lpSolver.Solve(model);
+    }
+    if (!sol.feasible) break;
+    const chosen = [];
+    players.forEach((p, i) => { if ((sol[`p${i}`] || 0) > 0.5) chosen.push({ i, p }); });
+    const lineup = assignSlots(chosen.map(c => c.p), rosterCfg);
+    if (!lineup) break;
+
+    const team = stackTeamOf(lineup, stack);
+    out.push({
+      usedSalary: lineup.reduce((s,p)=> s + p.salary, 0),
+      totalProj: fmt(lineup.reduce((s,p)=> s + (p.proj || 0), 0)),
+      lineup,
+      ...(team ? { stackTeam: team } : {}),
+      ownership: ownershipStats(lineup),
+      ...(score ? { leverageProj: fmt(lineup.reduce((s, p) => s + score(p), 0)) } : {}),
+      ...(rules.some(r => r.soft) ? { ruleViolations: softViolations(lineup, rules) } : {})
+    });
+    exposure.record(lineup);
+    spread.record(team ? [{ id: team }] : []);
+    onProgress?.({ found: out.length, attempts, lineup: out[out.length - 1] });
+
+    // uniqueness cut against this lineup for the next solve
+    const k = `uniq_${out.length}`;
+    model.constraints[k] = { max: maxOverlap };
+    for (const c of chosen) model.variables[`p${c.i}`][k] = 1;
+  }
+  return out;
+}
+
+// ----------------- Contest simulator -----------------
+function loadContests(){
+  try { return JSON.parse(fs.readFileSync(CONTESTS_FILE, "utf8")); }
+  catch(e){ console.warn(`⚠️  Could not read contests from ${CONTESTS_FILE}: ${e.message}`); return []; }
+}
+const CONTESTS = loadContests();
+
+// Score spread as a fraction of projection, by position
+const PROJ_CV = { QB: 0.4, RB: 0.5, WR: 0.6, TE: 0.65, DST: 0.9, PG: 0.3, SG: 0.33, SF: 0.33, PF: 0.33, C: 0.32 };
+const PASS_GAME = ["QB", "WR", "TE"];
+// Imported ceiling/floor are read as the 90th/10th percentiles of a normal
+const playerStdDev = (p) => p.stdDev ??
+  (p.ceiling > p.floor ? (p.ceiling - p.floor) / 2.563 : Math.max(1, (p.proj || 0) * (PROJ_CV[p.pos] ?? 0.5)));
+
+// Prize by finishing rank (index 0 = 1st). Contest fields override the defaults.
+const PRIZE_STRUCTURES = {
+  "50/50":     { fieldSize: 100,  rake: 0.1,  paidPct: 0.5 },
+  "DOUBLE-UP": { fieldSize: 100,  rake: 0.1,  paidPct: 0.45 },
+  "TOP-HEAVY": { fieldSize: 1000, rake: 0.15, paidPct: 0.2, minCashX: 2, decay: 1.2 },
+};
+function prizeTable(contest, fieldSize){
+  const kind = String(contest.prizeStructure || "50/50").toUpperCase();
+  const cfg = { ...(PRIZE_STRUCTURES[kind] || PRIZE_STRUCTURES["TOP-HEAVY"]), ...contest };
+  const fee = n(contest.entryFee);
+  const pool = fieldSize * fee * (1 - cfg.rake);
+  const paid = Math.max(1, Math.floor(fieldSize * cfg.paidPct));
+  const prizes = new Array(fieldSize).fill(0);
+
+  if (!cfg.decay) {
+    // flat payout: every cashing entry gets the same share
+    for (let r = 0; r < paid; r++) prizes[r] = pool / paid;
+    return { prizes, pool, paid };
+  }
+  // top-heavy: everyone paid gets a min cash, the rest decays by rank
+  const minCash = Math.min(fee * (cfg.minCashX || 1), pool / paid);
+  const weights = Array.from({ length: paid }, (_, r) => 1 / Math.pow(r + 1, cfg.decay));
+  const wSum = weights.reduce((a,b)=>a+b, 0);
+  const rest = pool - minCash * paid;
+  for (let r = 0; r < paid; r++) prizes[r] = minCash + rest * weights[r] / wSum;
+  return { prizes, pool, paid };
+}
+
+// One slate of correlated outcomes: QBs and their pass catchers share a team factor.
+function samplePlayerScores(players, correlation){
+  const teamZ = {};
+  const out = new Map();
+  const rho = clamp(correlation, 0, 0.95);
+  const base = new Map();   // showdown CPT/FLEX entries share one outcome
+  for (const p of players) {
+    const mult = p.mult || 1;
+    const key = playerKey(p);
+    if (!base.has(key)) {
+      const bp = { ...p, pos: p.rosterPos || p.pos, proj: (p.proj || 0) / mult, stdDev: p.stdDev && p.stdDev / mult };
+      let z = gauss();
+      if (bp.sport !== "NBA" && PASS_GAME.includes(bp.pos)) {
+        teamZ[bp.team] ??= gauss();
+        z = Math.sqrt(rho) * teamZ[bp.team] + Math.sqrt(1 - rho) * z;
+      }
+      const score = bp.proj + playerStdDev(bp) * z;
+      base.set(key, Math.max(bp.pos === "DST" ? -4 : 0, score));
+    }
+    out.set(p.id, base.get(key) * mult);
+  }
+  return out;
+}
+
+// Opponent lineups: noisy greedy builds, sampled with replacement up to the field size.
+function buildSyntheticField(players, rosterCfg, { fieldSize, fieldPool = 100, fieldNoise = 4, salaryCap }){
+  const uniq = [];
+  const target = Math.min(fieldSize, fieldPool);
+  for (let i = 0; i < target * 2 && uniq.length < target; i++) {
+    const L = buildLineupStrict(players, rosterCfg, { salaryCap, noise: fieldNoise, temperature: 1.5, tries: 30 });
+    if (L) uniq.push(L.lineup);
+  }
+  if (!uniq.length) return [];
+  return Array.from({ length: fieldSize }, () => uniq[Math.floor(random() * uniq.length)]);
+}
+
+function percentile(sorted, q){
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+function simulateContest(lineups, players, rosterCfg, contest, {
+  sims = 2000,
+  fieldSize,
+  correlation = 0.35,
+  fieldPool,
+  fieldNoise,
+  salaryCap
+} = {}){
+  const kind = String(contest.prizeStructure || "50/50").toUpperCase();
+  const size = Math.max(2, Math.round(fieldSize || contest.fieldSize || (PRIZE_STRUCTURES[kind] || PRIZE_STRUCTURES["TOP-HEAVY"]).fieldSize));
+  const { prizes, pool, paid } = prizeTable(contest, size);
+  const fee = n(contest.entryFee);
+
+  const field = buildSyntheticField(players, rosterCfg, { fieldSize: size - 1, fieldPool, fieldNoise, salaryCap });
+  if (!field.length) throw new Error("Could not build a synthetic field from the player pool");
+
+  // every player that appears in any lineup gets sampled each slate
+  const involved = new Map();
+  for (const L of [...lineups, ...field]) for (const p of L) involved.set(p.id, p);
+  const simPlayers = [...involved.values()];
+  const scoreOf = (L, scores) => L.reduce((s,p)=> s + scores.get(p.id), 0);
+
+  const stats = lineups.map(() => ({ wins: 0, cashes: 0, payout: 0, score: 0, ranks: [] }));
+  const fieldScores = new Float64Array(field.length);
+  for (let s = 0; s < sims; s++) {
+    const scores = samplePlayerScores(simPlayers, correlation);
+    for (let i = 0; i < field.length; i++) fieldScores[i] = scoreOf(field[i], scores);
+    fieldScores.sort();
+
+    lineups.forEach((L, li) => {
+      const score = scoreOf(L, scores);
+      // rank = 1 + field entries scoring strictly higher (binary search, ascending array)
+      let lo = 0, hi = fieldScores.length;
+      while (lo < hi) { const mid = (lo + hi) >> 1; if (fieldScores[mid] <= score) lo = mid + 1; else hi = mid; }
+      const rank = 1 + (fieldScores.length - lo);
+      const st = stats[li];
+      st.score += score;
+      st.ranks.push(rank);
+      if (rank === 1) st.wins++;
+      if (prizes[rank - 1] > 0) { st.cashes++; st.payout += prizes[rank - 1]; }
+    });
+  }
+
+  const results = lineups.map((L, li) => {
+    const st = stats[li];
+    const ranks = st.ranks.sort((a,b)=>a-b);
+    const expectedPayout = st.payout / sims;
+    return {
+      index: li,
+      totalProj: fmt(L.reduce((s,p)=> s + (p.proj || 0), 0)),
+      meanScore: fmt(st.score / sims),
+      winRate: fmt(st.wins / sims, 4),
+      cashRate: fmt(st.cashes / sims, 4),
+      meanFinish: fmt(ranks.reduce((a,b)=>a+b, 0) / sims, 1),
+      finish: { p10: percentile(ranks, 0.1), p50: percentile(ranks, 0.5), p90: percentile(ranks, 0.9) },
+      expectedPayout: fmt(expectedPayout),
+      roi: fee ? fmt((expectedPayout - fee) / fee, 4) : null
+    };
+  });
+
+  return {
+    contest: { id: contest.id, name: contest.name, entryFee: fee, prizeStructure: contest.prizeStructure },
+    fieldSize: size,
+    prizePool: fmt(pool),
+    paidPlaces: paid,
+    sims,
+    results
+  };
+}
+
+// ----------------- Portfolio summary -----------------
+// Exposure / stack / salary / projection / overlap numbers for a set of lineups, shared by
+// POST /api/lineups/summary, GET /api/runs/:id/summary and the CLI.
+
+// Equal-width bins over [min, max]
+function histogram(xs, bins = 10){
+  if (!xs.length) return [];
+  const lo = xs.reduce((m, x) => Math.min(m, x), Infinity), hi = xs.reduce((m, x) => Math.max(m, x), -Infinity);
+  const width = (hi - lo) / bins || 1;
+  const out = Array.from({ length: hi > lo ? bins : 1 }, (_, i) => ({ from: fmt(lo + i * width), to: fmt(lo + (i + 1) * width), count: 0 }));
+  for (const x of xs) out[Math.min(out.length - 1, Math.floor((x - lo) / width))].count++;
+  return out;
+}
+
+// Primary stack: the team with most non-DST players (2+), plus bring-backs from its opponent
+function lineupStack(lineup, stackTeam){
+  const byTeam = {};
+  for (const p of lineup) if (p.pos !== "DST" && p.team) byTeam[p.team] = (byTeam[p.team] || 0) + 1;
+  const qbTeam = lineup.find(p => p.pos === "QB")?.team;
+  const [team, size] = stackTeam ? [stackTeam, byTeam[stackTeam] || 0]
+    : Object.entries(byTeam).sort((a, b) => b[1] - a[1] || (b[0] === qbTeam) - (a[0] === qbTeam))[0] || [];
+  if (!team || size < 2) return null;
+  const opp = lineup.find(p => p.team === team && p.opp)?.opp;
+  const back = opp ? byTeam[opp] || 0 : 0;
+  return { team, shape: back ? `${size}+${back}` : String(size) };
+}
+
+// lineups: [{ lineup, stackTeam? }] or plain player arrays
+function portfolioSummary(lineups, { bins = 10, closest = 10 } = {}){
+  const list = lineups.map(L => Array.isArray(L) ? { lineup: L } : L);
+  const total = list.length;
+  const pct = (k) => fmt(100 * k / Math.max(1, total), 1);
+
+  const players = new Map(), teams = new Map(), stacks = new Map(), shapes = {};
+  const salaries = [], projs = [];
+  let unstacked = 0;
+  for (const L of list) {
+    const lineup = L.lineup;
+    // from the players: greedy's totalProj is its noisy objective
+    salaries.push(lineup.reduce((s, p) => s + n(p.salary), 0));
+    projs.push(fmt(lineup.reduce((s, p) => s + n(p.proj), 0)));
+    for (const p of lineup) {
+      const key = playerKey(p);
+      if (!players.has(key)) players.set(key, { id: key, name: p.name, team: p.team, pos: p.rosterPos || p.pos, salary: p.salary, proj: p.proj, count: 0, cpt: 0 });
+      const row = players.get(key);
+      row.count++;
+      if (p.pos === "CPT") row.cpt++;
+    }
+    for (const team of new Set(lineup.map(p => p.team).filter(Boolean))) {
+      if (!teams.has(team)) teams.set(team, { team, lineups: 0, players: 0 });
+      teams.get(team).lineups++;
+    }
+    for (const p of lineup) if (p.team) teams.get(p.team).players++;
+    const stack = lineupStack(lineup, L.stackTeam);
+    if (!stack) { unstacked++; continue; }
+    stacks.set(stack.team, (stacks.get(stack.team) || 0) + 1);
+    shapes[stack.shape] = (shapes[stack.shape] || 0) + 1;
+  }
+
+  // pairwise overlap as shared players, from the same symmetric difference minDiff uses
+  const overlapCounts = {};
+  const byOverlap = (x, y) => y.shared - x.shared || x.a - y.a || x.b - y.b;
+  let pairs = 0, sharedSum = 0, top = [];
+  for (let i = 0; i < total; i++) {
+    for (let j = i + 1; j < total; j++) {
+      const A = list[i].lineup, B = list[j].lineup;
+      const symDiff = symDiffSize(A, B);
+      const shared = (A.length + B.length - symDiff) / 2;
+      overlapCounts[shared] = (overlapCounts[shared] || 0) + 1;
+      pairs++;
+      sharedSum += shared;
+      top.push({ a: i, b: j, shared, symDiff });
+      if (top.length > 4 * closest) top = top.sort(byOverlap).slice(0, closest);
+    }
+  }
+  top = top.sort(byOverlap).slice(0, closest);
+
+  return {
+    lineups: total,
+    players: [...players.values()]
+      .map(({ cpt, ...p }) => ({ ...p, exposure: pct(p.count), ...(cpt ? { cpt, cptExposure: pct(cpt) } : {}) }))
+      .sort((a, b) => b.count - a.count || n(b.salary) - n(a.salary)),
+    teams: [...teams.values()]
+      .map(t => ({ ...t, exposure: pct(t.lineups) }))
+      .sort((a, b) => b.lineups - a.lineups || b.players - a.players),
+    stacks: [...stacks].map(([team, count]) => ({ team, count, exposure: pct(count) })).sort((a, b) => b.count - a.count),
+    stackShapes: Object.entries(shapes).map(([shape, count]) => ({ shape, count, exposure: pct(count) })).sort((a, b) => b.count - a.count),
+    unstacked,
+    salary: { ...distribution(salaries), histogram: histogram(salaries, bins) },
+    projection: { ...distribution(projs), histogram: histogram(projs, bins) },
+    overlap: {
+      pairs,
+      ...(pairs ? { avgShared: fmt(sharedSum / pairs), maxShared: top[0].shared, minSymDiff: top[0].symDiff } : {}),
+      histogram: Object.entries(overlapCounts).map(([shared, count]) => ({ shared: Number(shared), pairs: count })).sort((a, b) => a.shared - b.shared),
+      closest: top
+    }
+  };
+}
+
+// ----------------- DK entry export -----------------
+// Lineups: [{ lineup:[...] }], [[...players]] or [[...ids]]; pool entries win over stale copies.
+function resolveLineups(raw, pool){
+  const byId = new Map(pool.map(p => [String(p.id), p]));
+  return (raw || []).map(L => (Array.isArray(L) ? L : L.lineup || []).map(p => {
+    const id = String(typeof p === "object" ? p.id : p);
+    const hit = byId.get(id) || (typeof p === "object" ? p : null);
+    if (!hit) throw new Error(`Unknown player id "${id}" in lineups`);
+    return hit;
+  }));
+}
+
+// DK upload headers are the slot names without their index: RB1/RB2 -> RB,RB
+const slotHeaders = (rosterCfg) => rosterCfg.slots.map(s => s.name.replace(/\d+$/, ""));
+const dkCell = (p) => `${p.siteName || p.name} (${p.id})`;
+
+// Lineups already in slot order keep it (late swap can't move started players)
+const inSlotOrder = (lineup, rosterCfg) =>
+  lineup.length === rosterCfg.slots.length && lineup.every((p, i) => rosterCfg.slots[i].allow.includes(p.pos));
+
+function lineupToDKRow(lineup, rosterCfg){
+  const ordered = inSlotOrder(lineup, rosterCfg) ? lineup
+    : lineup.length === rosterCfg.slots.length ? assignSlots(lineup, rosterCfg) : null;
+  if (!ordered) throw new Error(`Lineup does not fit ${rosterCfg.slots.length} roster slots: ${lineup.map(p => p.name).join(", ")}`);
+  return ordered.map(dkCell);
+}
+
+// Plain upload file: one row per lineup under the slot headers.
+function buildDKUploadCsv(lineups, rosterCfg){
+  const rows = lineups.map(L => lineupToDKRow(L, rosterCfg));
+  return Papa.unparse({ fields: slotHeaders(rosterCfg), data: rows });
+}
+
+// DKEntries.csv layout: the "Entry ID" header row and where the slot columns start
+function dkEntriesLayout(entriesCsv, rosterCfg){
+  const rows = Papa.parse(entriesCsv, { skipEmptyLines: false }).data;
+  const headerIdx = rows.findIndex(r => r.some(c => trim(c) === "Entry ID"));
+  if (headerIdx < 0) throw new Error(`DKEntries CSV has no "Entry ID" header`);
+  const header = rows[headerIdx].map(trim);
+
+  // slot columns are the run of roster headers after the contest info
+  const want = slotHeaders(rosterCfg);
+  const start = header.findIndex((_, i) => want.every((h, j) => header[i + j] === h));
+  if (start < 0) throw new Error(`DKEntries header does not contain the roster slots ${want.join(",")}`);
+  return { rows, headerIdx, start, entryCol: header.indexOf("Entry ID") };
+}
+
+// Entries already filled in a DKEntries.csv: [{ entryId, ids }] in slot order ("Name (ID)" or bare IDs).
+// ids is null for an entry without a complete lineup.
+function readDKEntries(entriesCsv, rosterCfg){
+  const { rows, headerIdx, start, entryCol } = dkEntriesLayout(entriesCsv, rosterCfg);
+  const size = rosterCfg.slots.length;
+  return rows.slice(headerIdx + 1).filter(r => trim(r[entryCol])).map(r => {
+    const ids = r.slice(start, start + size).map(c => { const m = trim(c).match(/\((\d+)\)/); return m ? m[1] : trim(c); });
+    return { entryId: trim(r[entryCol]), ids: ids.length === size && ids.every(Boolean) ? ids : null };
+  });
+}
+
+// Fill an existing DKEntries.csv: keep Entry ID / Contest columns (and DK's
+// instructions block on the right), write one lineup into each entry row.
+// A null lineup leaves its entry row untouched.
+function fillDKEntriesCsv(entriesCsv, lineups, rosterCfg){
+  const { rows, headerIdx, start, entryCol } = dkEntriesLayout(entriesCsv, rosterCfg);
+
+  let filled = 0, k = 0;
+  for (let r = headerIdx + 1; r < rows.length && k < lineups.length; r++) {
+    const row = rows[r];
+    if (!trim(row[entryCol])) continue;
+    const lineup = lineups[k++];
+    if (!lineup) continue;
+    const cells = lineupToDKRow(lineup, rosterCfg);
+    while (row.length < start + cells.length) row.push("");
+    cells.forEach((c, j) => { row[start + j] = c; });
+    filled++;
+  }
+  const entries = rows.slice(headerIdx + 1).filter(r => trim(r[entryCol])).length;
+  return { csv: Papa.unparse(rows), filled, entries };
+}
+
+// ----------------- Late swap -----------------
+const hasStarted = (p, now) => !!p.gameTime && Date.parse(p.gameTime) <= now;
+
+// Re-optimise the slots of one lineup whose games haven't started. Started
+// players stay pinned to their slots; the rest may be swapped for players from
+// `pool` (current projections/status). The swap is kept only if it projects
+// higher or the old lineup holds a player no longer in the pool.
+function lateSwapLineup(lineup, pool, rosterCfg, { now, salaryCap, maxPerTeam, stack, noise = 0.3, temperature = 0.3, tries = 400, locks = [] } = {}){
+  const ordered = inSlotOrder(lineup, rosterCfg) ? lineup : assignSlots(lineup, rosterCfg);
+  if (!ordered || ordered.length !== rosterCfg.slots.length || ordered.some(p => !p))
+    return { lineup, kept: `lineup does not fit ${rosterCfg.slots.length} roster slots` };
+
+  const inPool = new Set(pool.map(p => p.id));
+  const pinned = ordered.map(p => hasStarted(p, now) ? p : undefined);
+  const sumProj = (L) => fmt(L.reduce((s, p) => s + (p.proj || 0), 0));
+  const before = sumProj(ordered);
+  const unavailable = ordered.filter(p => !pinned.includes(p) && !inPool.has(p.id));
+  const base = {
+    locked: pinned.filter(Boolean).map(p => p.name),
+    projBefore: before,
+    ...(unavailable.length ? { unavailable: unavailable.map(p => `${p.name} (${p.status || "not in pool"})`) } : {})
+  };
+  const keep = (why) => ({ ...base, lineup: ordered, usedSalary: ordered.reduce((s, p) => s + p.salary, 0), totalProj: before, swaps: [], kept: why });
+  if (pinned.every(Boolean)) return keep("all games started");
+
+  const open = pool.filter(p => !hasStarted(p, now));
+  const best = buildLineupStrict(open, rosterCfg, { salaryCap, noise, temperature, maxPerTeam, tries, locks, stack, pinned });
+  if (!best) return keep("no valid swap under the cap / team / stack rules");
+  const after = sumProj(best.lineup);
+  if (!unavailable.length && after <= before) return keep("current lineup still projects best");
+
+  // compare the player sets: someone the re-solve only moved to another slot (RB2 -> FLEX) is not a swap
+  const oldIds = new Set(ordered.map(p => p.id));
+  const newIds = new Set(best.lineup.map(p => p.id));
+  const leaving = ordered.filter(p => !newIds.has(p.id));
+  const swaps = [];
+  best.lineup.forEach((p, si) => {
+    if (oldIds.has(p.id)) return;
+    // pair the incoming player with whoever left their slot, else the next player out
+    const [gone] = leaving.splice(Math.max(0, leaving.indexOf(ordered[si])), 1);
+    swaps.push({ slot: rosterCfg.slots[si].name, out: gone.name, in: p.name });
+  });
+  return { ...base, lineup: best.lineup, usedSalary: best.usedSalary, totalProj: after, swaps, ...(best.stackTeam ? { stackTeam: best.stackTeam } : {}) };
+}
+
+// ----------------- Backtest (offline nflverse replay) -----------------
+// Season CSVs live in NFLVERSE_DIR under their release file names
+// (stats_player_week_<season>.csv, stats_team_week_<season>.csv), so no network is needed.
+function readNflverseSeason(season, dir = NFLVERSE_DIR){
+  const read = (url) => {
+    // NFLVERSE_DIR first, then a copy cached by a live nflverse refresh
+    const file = [path.join(dir, path.basename(url)), cacheFile(url)].find(f => fs.existsSync(f));
+    if (!file) throw new Error(`Missing ${path.join(dir, path.basename(url))} (download it from the nflverse-data releases)`);
+    return Papa.parse(fs.readFileSync(file, "utf8"), { header:true, skipEmptyLines:true }).data || [];
+  };
+  const regular = (r) => !r.season_type || String(r.season_type).toUpperCase() === "REG";
+  return { players: read(playerWeekUrl(season)).filter(regular), teams: read(teamWeekUrl(season)).filter(regular) };
+}
+
+function distribution(xs){
+  const s = [...xs].sort((a,b)=>a-b);
+  if (!s.length) return { n: 0 };
+  return {
+    n: s.length,
+    mean: fmt(s.reduce((a,b)=>a+b, 0) / s.length),
+    min: fmt(s[0]),
+    p10: fmt(percentile(s, 0.1)),
+    p50: fmt(percentile(s, 0.5)),
+    p90: fmt(percentile(s, 0.9)),
+    max: fmt(s[s.length - 1])
+  };
+}
+
+// MAE / bias (proj - actual) per position and overall
+function projectionError(rows){
+  const agg = (list) => ({
+    n: list.length,
+    mae: fmt(list.reduce((s, r) => s + Math.abs(r.proj - r.actual), 0) / Math.max(1, list.length)),
+    bias: fmt(list.reduce((s, r) => s + (r.proj - r.actual), 0) / Math.max(1, list.length))
+  });
+  const byPos = {};
+  for (const r of rows) (byPos[r.pos] ||= []).push(r);
+  return { all: agg(rows), byPos: Object.fromEntries(Object.entries(byPos).map(([pos, list]) => [pos, agg(list)])) };
+}
+
+// Replay `season` week by week (scored with `scoring`, default the site's rules): project each week only from the weeks before it,
+// build lineups on that pool, then score players and lineups with the week's actual stats.
+// `onlyActive` keeps only offensive players who recorded a stat line that week (a stand-in for
+// the inactive list); it reads the week's own results, so it is off by default and reports run with
+// it are flagged `hindsightFiltered`; `optimal` also solves the hindsight-best lineup for a %-of-optimal;
+// `matchups` applies the DvP / home-away adjustment (opponents from the schedule CSV or the week's team rows).
+// Weeks that end up with no lineup are flagged `infeasible` with an error instead of scoring zero.
+function runBacktest(season, {
+  site = "DK",
+  weeks,
+  fromWeek = 2,
+  toWeek,
+  weights,
+  solver = "greedy",
+  count = 20,
+  onlyActive = false,
+  optimal = true,
+  matchups = true,
+  scoring,
+  stack: stackReq,
+  ...opts
+} = {}){
+  const roster = getRoster(site, "NFL");
+  if (!roster) throw new Error(`Unknown site "${site}" (use ${SITES.join(", ")})`);
+  if (solver !== "greedy" && solver !== "exact") throw new Error(`Unknown solver "${solver}" (use "greedy" or "exact")`);
+  if (weights !== undefined && !(Array.isArray(weights) && weights.length && weights.every(w => Number(w) >= 0)))
+    throw new Error("weights must be a non-empty array of non-negative numbers (most recent game first)");
+  scoring = trim(scoring || SITE_SCORING[site]).toUpperCase();
+  const sys = getScoring(scoring);
+  const salaryCap = Number(opts.salaryCap ?? roster.cap);
+  const maxPerTeam = Number(opts.maxPerTeam ?? roster.defaultMaxPerTeam);
+
+  const data = readNflverseSeason(season);
+  const allWeeks = [...new Set(data.players.map(r => n(r.week)).filter(Boolean))].sort((a,b)=>a-b);
+  if (!allWeeks.length) throw new Error(`No regular-season weeks in the ${season} files`);
+  const last = toWeek ?? allWeeks[allWeeks.length - 1];
+  const plan = (weeks ? weeks.map(Number) : allWeeks.filter(w => w >= fromWeek && w <= last))
+    .filter(w => allWeeks.includes(w) && allWeeks.some(x => x < w));
+  if (!plan.length) throw new Error("No weeks to replay (each week needs at least one earlier week of data)");
+
+  const results = [];
+  const errors = [];
+  const scores = [];
+  for (const week of plan) {
+    const before = (r) => n(r.week) < week;
+    const thisWeek = (r) => n(r.week) === week;
+    const history = { players: data.players.filter(before), teams: data.teams.filter(before) };
+    const projected = [
+      ...buildOffense(history.players, site, { weights, scoring }),
+      ...buildDST(history.teams, site, { weights, scoring })
+    ];
+
+    // actual points for the week, keyed like the projected pool
+    const actual = new Map();
+    for (const r of data.players.filter(thisWeek)) {
+      const pos = (r.position || r.pos || "").toUpperCase();
+      if (["QB","RB","WR","TE"].includes(pos)) actual.set(nflPlayerId(r, pos), fmt(offensePoints(r, sys)));
+    }
+    const playing = new Set();
+    const opponents = new Map();
+    for (const r of data.teams.filter(thisWeek)) {
+      const team = (r.team || r.recent_team || r.posteam || r.defteam || "").toUpperCase();
+      if (!team || team.length > 3) continue;
+      playing.add(team);
+      actual.set(`DST_${team}`, fmt(dstPoints(r, sys)));
+      if (trim(r.opponent_team)) opponents.set(team, { opp: trim(r.opponent_team).toUpperCase() });
+    }
+    if (matchups) {
+      const schedule = readSchedule(season, week);
+      applyMatchups(projected, dvpFactors(history.players, history.teams, scoring), schedule?.size ? schedule : opponents);
+    }
+    const base = projected.filter(p => playing.has(p.team) && (p.pos === "DST" || !onlyActive || actual.has(p.id)));
+    const pool = withOwnership(base, roster);
+    const pointsOf = (p) => actual.get(p.id) ?? 0;
+    for (const p of pool) errors.push({ pos: p.pos, proj: p.proj, actual: pointsOf(p) });
+
+    const stack = resolveStackRules(roster, stackReq, pool, { maxPerTeam });
+    const gpp = resolveGpp(opts);
+    const exact = () => solveLineupsExact(pool, roster, { salaryCap, count, maxPerTeam, minDiff: opts.minDiff, stack, ...gpp });
+    let lineups = solver === "exact"
+      ? exact()
+      : generateLineups(pool, roster, { salaryCap, count, maxPerTeam, stack, ...gpp,
+          ...(opts.noise !== undefined ? { noise: Number(opts.noise) } : {}),
+          ...(opts.temperature !== undefined ? { temperature: Number(opts.temperature) } : {}),
+          ...(opts.minDiff !== undefined ? { minDiff: Number(opts.minDiff) } : {}) });
+    // an empty week must not read as a real (zero) result: retry greedy misses with the
+    // exact solver and flag weeks that still have no lineup
+    const fallback = !lineups.length && solver !== "exact" && pool.length > 0;
+    if (fallback) lineups = exact();
+    const scored = lineups.map(L => ({
+      proj: L.totalProj,
+      actual: fmt(L.lineup.reduce((s, p) => s + pointsOf(p), 0)),
+      players: L.lineup.map(p => p.name)
+    }));
+    scores.push(...scored.map(L => L.actual));
+
+    let best = null;
+    if (optimal && pool.length) {
+      const hindsight = pool.map(p => ({ ...p, proj: pointsOf(p) }));
+      const [opt] = solveLineupsExact(hindsight, roster, { salaryCap, count: 1, maxPerTeam });
+      if (opt) best = { actual: opt.totalProj, players: opt.lineup.map(p => p.name) };
+    }
+    const top = scored.reduce((a, L) => (!a || L.actual > a.actual ? L : a), null);
+    results.push({
+      week,
+      pool: pool.length,
+      lineups: scored.length,
+      ...(fallback && scored.length ? { solver: "exact", warning: "greedy built no lineups; used the exact solver" } : {}),
+      ...(!scored.length ? { infeasible: true, error: `No lineup fits the constraints for week ${week} (${pool.length} players in the pool)` } : {}),
+      proj: distribution(scored.map(L => L.proj)),
+      actual: distribution(scored.map(L => L.actual)),
+      best: top,
+      ...(best ? { optimal: best, pctOfOptimal: best.actual > 0 && top ? fmt(100 * top.actual / best.actual, 1) : null } : {})
+    });
+  }
+
+  return {
+    season,
+    site,
+    scoring,
+    solver,
+    settings: { count, onlyActive, matchups, weights: weights || null, salaryCap, maxPerTeam },
+    ...(onlyActive ? { hindsightFiltered: true } : {}),
+    weeks: results,
+    ...(results.some(r => r.infeasible) ? { infeasibleWeeks: results.filter(r => r.infeasible).map(r => r.week) } : {}),
+    projectionError: projectionError(errors),
+    lineupScores: distribution(scores)
+  };
+}
+
+// Per-request projection edits ({ ref: proj }) on copies of the pool players; ceiling and
+// floor scale with the new projection. Refs are checked against `all` so an edit to a player
+// dropped by the status filter is simply unused.
+function editProjections(pool, all, edits){
+  const byId = new Map();
+  for (const [ref, v] of Object.entries(edits || {})) {
+    const p = findPlayer(all, ref);
+    if (!p) throw new Error(`projections: no player "${ref}" in pool`);
+    const proj = Number(v);
+    if (v === null || v === "" || !Number.isFinite(proj) || proj < 0) throw new Error(`projections: "${ref}" needs a projection >= 0`);
+    byId.set(p.id, proj);
+  }
+  if (!byId.size) return pool;
+  return pool.map(p => {
+    if (!byId.has(p.id)) return p;
+    const proj = byId.get(p.id), ratio = p.proj ? proj / p.proj : 1;
+    const out = { ...p, proj, projSources: [...(p.projSources || ["site"]), "edit"] };
+    for (const f of ["ceiling", "floor"]) if (p[f] !== undefined) out[f] = fmt(p[f] * ratio);
+    return out;
+  });
+}
+
+// Sport, site, roster and matching pool for a request; { error } on unknown site.
+function requestContext(c = {}){
+  // A saved slate (c.slateId) supplies its own pool and defaults instead of the live globals
+  const slate = c.slateId ? getSlate(c.slateId) : null;
+  if (c.slateId && !slate) return { error:`Unknown slate "${c.slateId}"`, status: 404 };
+  if (slate) applyProjections(slate.players);
+  const base = slate || { sport: CURRENT_SPORT, site: CURRENT_SITE, mode: CURRENT_MODE, players: PLAYERS };
+  return { ...poolContext(base, c), slate };
+}
+
+// Roster and optimisable pool for a player list ({ sport, site, mode, players }) under request
+// options (site/mode overrides, status filter, projection edits, showdown rules).
+function poolContext(base, c = {}){
+  const sport = (c.sport || base.sport || "NFL").toUpperCase();
+  const site = normSite(c.site) || base.site;
+  const mode = trim(c.mode || base.mode).toLowerCase();
+  if (!MODES.includes(mode)) return { sport, site, mode, error:`Unknown mode "${c.mode}" (use ${MODES.join(", ")})` };
+  let roster = getRoster(site, sport, mode);
+  if (!roster) {
+    const error = mode === "showdown" ? `No ${sport} showdown roster for ${site}` : `Unknown site "${c.site}" (use ${SITES.join(", ")})`;
+    return { sport, site, mode, error };
+  }
+  const excludeStatuses = statusFilter(c.excludeStatuses);
+  const excluded = [];
+  const all = base.players.filter(p =>
+    (p.sport || base.sport) === sport && (p.site || base.site) === site && (p.mode || "classic") === mode);
+  let pool = all.filter(p => {
+    if (!excludeStatuses.has(p.status || "ACTIVE")) return true;
+    excluded.push(p);
+    return false;
+  });
+  try { pool = editProjections(pool, all, c.projections); }
+  catch(e){ return { sport, site, mode, error: e.message }; }
+  if (roster.showdown) {
+    if (c.captainStack !== undefined || c.eachTeam !== undefined) {
+      roster = { ...roster, showdown: {
+        ...roster.showdown,
+        captainTeamMinFlex: Number(c.captainStack ?? roster.showdown.captainTeamMinFlex),
+        eachTeam: c.eachTeam ?? roster.showdown.eachTeam
+      } };
+    }
+    pool = expandShowdownPool(pool, roster);
+  }
+  pool = withOwnership(pool, roster);
+  return { sport, site, mode, roster, pool, excluded, excludeStatuses: [...excludeStatuses] };
+}
+
+// ----------------- Optimisation jobs (worker threads) -----------------
+// Optimize requests run generateLineups / solveLineupsExact in optimize-worker.js so the
+// event loop stays free. Jobs keep their progress and partial lineups, push them to SSE
+// listeners, stop at their time budget or on cancel, and are dropped JOB_TTL_MS after finishing.
+const JOBS = new Map();   // id -> job
+const JOB_QUEUE = [];     // queued job ids
+const JOB_TTL_MS = 30 * 60 * 1000;
+const WORKER_FILE = path.join(__dirname, "optimize-worker.js");
+
+// Validated optimize request -> { solver, seed, pool, roster, options, count, timeLimitMs, finish },
+// { reply } (legacy 200 body) or { error, status }. `ctx` replaces requestContext() when
+// re-running a recorded run against its pool snapshot.
+function optimizeRequest(body = {}, ctx = null, { rerunOf } = {}){
+  const c = { ...(body.constraints || {}) };
+  const { sport, site, mode, roster, pool, slate, excluded, error, status } = ctx || requestContext({ ...c, slateId: c.slateId ?? body.slateId });
+  if (error) return { error, status: status || 400 };
+
+  const salaryCap    = Number(c.salaryCap ?? roster.cap);
   const count        = Number(c.numLineups ?? body.count ?? 1);
   const noise        = Number(c.noise ?? 1.2);
   const temperature  = Number(c.temperature ?? 0.6);
   const maxPerTeam   = Number(c.maxPerTeam ?? roster.defaultMaxPerTeam);
-  const minDiff      = Number(c.minDiff ?? (sport === "NFL" ? 4 : 3));
+  const minDiff      = Number(c.minDiff ?? roster.defaultMinDiff);
   const triesPerLineup = Number(c.triesPerLineup ?? 300);
+  const solver       = String(c.solver || "greedy").toLowerCase();
+  const timeLimitMs  = Number(c.timeLimitMs ?? body.timeLimitMs ?? JOB_TIME_LIMIT_MS);
+  const seed         = c.seed ?? body.seed ?? newSeed();   // every run is recorded with a seed so it can be replayed
+  // excludes / exposure caps naming players the status filter already dropped are no-ops
+  const dropped = (ref) => !findPlayer(pool, ref) && findPlayer(excluded, ref);
+  if (c.excludes) c.excludes = listRefs(c.excludes).filter(ref => !dropped(ref));
+  for (const k of ["minExposure", "maxExposure"]) {
+    if (c[k] && typeof c[k] === "object") c[k] = Object.fromEntries(Object.entries(c[k]).filter(([ref]) => !dropped(ref)));
+  }
+  const controls     = { locks: c.locks, excludes: c.excludes, minExposure: c.minExposure, maxExposure: c.maxExposure };
+
+  if (!pool.length) return { reply: { salaryCap, count:0, lineups:[], sport, site, error:"No players loaded for this sport/site" } };
+  if (solver !== "greedy" && solver !== "exact") return { error:`Unknown solver "${solver}" (use "greedy" or "exact")` };
+  if (!(timeLimitMs > 0)) return { error:"timeLimitMs must be a positive number of milliseconds" };
+  if (!["number", "string"].includes(typeof seed) || String(seed).length > 64) return { error:"seed must be a number or a string of up to 64 characters" };
+  c.seed = seed;
+  const lockedOut = listRefs(c.locks).map(ref => findPlayer(excluded, ref)).filter(Boolean);
+  if (lockedOut.length) {
+    return { error:`lock: ${lockedOut.map(p => `${p.name} (${p.status})`).join(", ")} excluded by status; adjust excludeStatuses` };
+  }
+
+  let options;
+  try {
+    const stack = resolveStackRules(roster, c.stack, pool, { maxPerTeam });
+    const gpp = resolveGpp(c);
+    const rules = resolveRules(c.rules, pool, roster, { gameTotals: c.gameTotals, teamTotals: c.teamTotals });
+    options = solver === "exact"
+      ? { salaryCap, count: Math.max(1, count), maxPerTeam, minDiff, stack, rules, ...gpp, ...controls }
+      : { salaryCap, count: Math.max(1, count), noise, temperature, maxPerTeam, minDiff, triesPerLineup, stack, rules, seed, ...gpp, ...controls };
+  } catch(e){
+    return { error:String(e.message||e) };
+  }
+
+  // Response body for the finished lineups; lineups built against a slate are saved under it unless { save:false }
+  const finish = (many, stopReason) => {
+    let saved = {};
+    if (slate && many.length && stopReason !== "cancelled" && (c.save ?? body.save) !== false) {
+      const set = saveLineupSet(slate, { solver, constraints: c, lineups: many });
+      saved = { slateId: slate.id, lineupSetId: set.id };
+    }
+    if (stopReason !== "cancelled") {
+      const run = recordRun({ solver, seed, constraints: c, requested: Math.max(1, count), sport, site, mode, roster, slateId: slate?.id, pool, lineups: many, stopReason, rerunOf });
+      saved = { ...saved, runId: run.id, seed };
+    }
+    const stopped = stopReason !== "complete" ? { stopReason } : {};
+    const shortfalls = exposureShortfalls(many, pool, c.minExposure);
+    const missed = shortfalls.length ? { exposureShortfalls: shortfalls } : {};
+    if (count <= 1) return many[0] ? { ...many[0], ...saved, ...stopped, ...missed } : { error:"Could not build a lineup. Check pool/constraints.", ...stopped };
+    const stacks = {};
+    for (const L of many) if (L.stackTeam) stacks[L.stackTeam] = (stacks[L.stackTeam] || 0) + 1;
+    return { salaryCap, count: many.length, lineups: many, sport, site, mode, solver, stacks, excludedByStatus: excluded.length, ...saved, ...stopped, ...missed };
+  };
+  return { solver, seed, pool, roster, options, count: Math.max(1, count), timeLimitMs, finish };
+}
+
+function publicJob(job, { lineups = false } = {}){
+  const end = job.finishedAt ? Date.parse(job.finishedAt) : Date.now();
+  return {
+    id: job.id,
+    status: job.status,
+    solver: job.solver,
+    count: job.count,
+    found: job.lineups.length,
+    attempts: job.attempts,
+    timeLimitMs: job.timeLimitMs,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    elapsedMs: job.startedAt ? end - Date.parse(job.startedAt) : 0,
+    ...(job.stopReason ? { stopReason: job.stopReason } : {}),
+    ...(job.error ? { error: job.error } : {}),
+    ...(lineups ? { lineups: job.lineups } : {}),
+    ...(job.result ? { result: job.result } : {})
+  };
+}
+
+function emitJob(job, event, data){
+  for (const res of job.listeners) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function startJob({ solver, pool, roster, options, count, timeLimitMs, finish }){
+  const job = {
+    id: crypto.randomBytes(6).toString("hex"),
+    status: "queued",
+    solver, count, timeLimitMs,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    attempts: 0,
+    lineups: [],
+    listeners: new Set(),
+    input: { pool, roster, options },
+    finish
+  };
+  job.done = new Promise(resolve => { job.resolve = resolve; });
+  JOBS.set(job.id, job);
+  JOB_QUEUE.push(job.id);
+  runQueuedJobs();
+  return job;
+}
+
+function runQueuedJobs(){
+  const running = [...JOBS.values()].filter(j => j.status === "running").length;
+  for (let free = MAX_RUNNING_JOBS - running; free > 0 && JOB_QUEUE.length; free--) {
+    const job = JOBS.get(JOB_QUEUE.shift());
+    if (job && job.status === "queued") runJob(job);
+  }
+}
+
+function runJob(job){
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  const deadline = Date.now() + job.timeLimitMs;
+  const { pool, roster, options } = job.input;
+  delete job.input;
+  emitJob(job, "status", publicJob(job));
+
+  const worker = new Worker(WORKER_FILE, { workerData: { solver: job.solver, pool, roster, options: { ...options, deadline } } });
+  job.worker = worker;
+  // an exact solve can't be interrupted between lineups; stop the thread shortly after the budget
+  const backstop = setTimeout(() => { job.timedOut = true; worker.terminate(); }, job.timeLimitMs + 5000);
+
+  worker.on("message", (msg) => {
+    if (msg.type === "progress") {
+      job.attempts = msg.attempts;
+      if (msg.lineup) {
+        job.lineups.push(msg.lineup);
+        emitJob(job, "lineup", { index: job.lineups.length - 1, lineup: msg.lineup });
+      }
+      emitJob(job, "progress", { found: job.lineups.length, attempts: job.attempts, count: job.count, elapsedMs: Date.now() - Date.parse(job.startedAt) });
+    } else if (msg.type === "done") {
+      const reason = msg.lineups.length >= job.count ? "complete" : Date.now() >= deadline ? "timeLimit" : "exhausted";
+      endJob(job, { status: "done", lineups: msg.lineups, stopReason: reason });
+    } else if (msg.type === "error") {
+      endJob(job, { status: "error", error: msg.error });
+    }
+  });
+  worker.on("error", (e) => endJob(job, { status: "error", error: String(e.message || e) }));
+  worker.on("exit", () => {
+    clearTimeout(backstop);
+    if (job.cancelled) endJob(job, { status: "cancelled", lineups: job.lineups, stopReason: "cancelled" });
+    else if (job.timedOut) endJob(job, { status: "done", lineups: job.lineups, stopReason: "timeLimit" });
+    else endJob(job, { status: "error", error: "Optimizer worker exited unexpectedly" });
+  });
+}
+
+function endJob(job, { status, lineups, stopReason, error }){
+  if (job.finishedAt) return;
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  if (job.worker) { job.worker.terminate(); delete job.worker; }
+  if (lineups) {
+    job.lineups = lineups;
+    job.stopReason = stopReason;
+    try { job.result = job.finish(lineups, stopReason); }
+    catch(e){ job.status = "error"; job.error = String(e.message||e); }
+  }
+  if (error) job.error = error;
+  emitJob(job, "done", publicJob(job));
+  for (const res of job.listeners) res.end();
+  job.listeners.clear();
+  job.resolve(job);
+  setTimeout(() => JOBS.delete(job.id), JOB_TTL_MS).unref();
+  runQueuedJobs();
+}
+
+function cancelJob(job){
+  if (job.finishedAt) return;
+  job.cancelled = true;
+  if (job.status === "queued") {
+    JOB_QUEUE.splice(JOB_QUEUE.indexOf(job.id), 1);
+    endJob(job, { status: "cancelled", lineups: [], stopReason: "cancelled" });
+  } else if (job.worker) {
+    job.worker.terminate();
+  }
+}
+
+// ----------------- Run history -----------------
+// STORE_DIR/runs/<n>.json      { id, createdAt, solver, seed, constraints, requested, sport, site, mode, roster,
+//                                slateId, poolHash, stopReason, rerunOf, lineups:[{ ids, totalProj, usedSalary, stackTeam }] }
+// STORE_DIR/pools/<hash>.json  pool snapshot (players as optimised), shared by runs on the same pool
+const RUNS_DIR  = path.join(STORE_DIR, "runs");
+const POOLS_DIR = path.join(STORE_DIR, "pools");
+const RUNS = new Map(); // id -> summary
+
+const poolHash = (pool) => crypto.createHash("sha256").update(JSON.stringify(pool)).digest("hex").slice(0, 16);
+
+function runSummary(run){
+  const projs = run.lineups.map(L => L.totalProj);
+  return {
+    id: run.id, createdAt: run.createdAt, solver: run.solver, seed: run.seed,
+    sport: run.sport, site: run.site, mode: run.mode, slateId: run.slateId ?? null, poolHash: run.poolHash,
+    requested: run.requested, count: run.lineups.length, stopReason: run.stopReason,
+    topProj: projs.length ? Math.max(...projs) : null,
+    avgProj: projs.length ? fmt(projs.reduce((a,b)=>a+b, 0) / projs.length) : null,
+    ...(run.rerunOf ? { rerunOf: run.rerunOf } : {})
+  };
+}
+
+function recordRun({ pool, lineups, ...info }){
+  const id = String([...RUNS.keys()].reduce((m, k) => Math.max(m, Number(k)), 0) + 1);
+  const hash = poolHash(pool);
+  const poolFile = path.join(POOLS_DIR, `${hash}.json`);
+  if (!fs.existsSync(poolFile)) writeJsonAtomic(poolFile, pool);
+  const run = {
+    id, createdAt: new Date().toISOString(), ...info, poolHash: hash,
+    lineups: lineups.map(L => ({ ids: L.lineup.map(p => p.id), totalProj: L.totalProj, usedSalary: L.usedSalary, ...(L.stackTeam ? { stackTeam: L.stackTeam } : {}) }))
+  };
+  writeJsonAtomic(path.join(RUNS_DIR, `${id}.json`), run);
+  RUNS.set(id, runSummary(run));
+  return run;
+}
+
+function loadRuns(){
+  if (!fs.existsSync(RUNS_DIR)) return;
+  for (const f of fs.readdirSync(RUNS_DIR)) {
+    const run = f.endsWith(".json") ? readJson(path.join(RUNS_DIR, f)) : null;
+    if (run?.id) RUNS.set(String(run.id), runSummary(run));
+  }
+}
+const getRun = (id) => RUNS.has(String(id)) ? readJson(path.join(RUNS_DIR, `${id}.json`)) : null;
+const runPool = (run) => readJson(path.join(POOLS_DIR, `${run.poolHash}.json`));
+
+// Stored id lists -> lineups with the players from the run's pool snapshot
+function expandRun(run, pool = runPool(run)){
+  const byId = new Map((pool || []).map(p => [p.id, p]));
+  return { ...run, lineups: run.lineups.map(L => ({ ...L, lineup: L.ids.map(id => byId.get(id) || { id, name: id }) })) };
+}
+
+// Player exposure (% of lineups) in two runs, biggest differences first
+function diffRuns(a, b){
+  const players = new Map();
+  const tally = (run, side) => {
+    const byId = new Map((runPool(run) || []).map(p => [p.id, p]));
+    for (const L of run.lineups) for (const id of L.ids) {
+      const p = byId.get(id) || { id, name: id };
+      if (!players.has(id)) players.set(id, { id, name: p.name, team: p.team, pos: p.pos, a: 0, b: 0 });
+      players.get(id)[side] += 100 / Math.max(1, run.lineups.length);
+    }
+  };
+  tally(a, "a");
+  tally(b, "b");
+  const keys = (run) => new Set(run.lineups.map(L => [...L.ids].sort().join("|")));
+  const ka = keys(a), kb = keys(b);
+  const rows = [...players.values()]
+    .map(p => ({ ...p, a: fmt(p.a, 1), b: fmt(p.b, 1), delta: fmt(p.b - p.a, 1) }))
+    .sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta) || y.a + y.b - (x.a + x.b));
+  return {
+    a: runSummary(a),
+    b: runSummary(b),
+    samePool: a.poolHash === b.poolHash,
+    sharedLineups: [...ka].filter(k => kb.has(k)).length,
+    onlyInA: rows.filter(p => !p.b).length,
+    onlyInB: rows.filter(p => !p.a).length,
+    players: rows
+  };
+}
+
+// ----------------- Routes -----------------
+app.get("/", (_req,res)=> res.redirect("/api/health"));
+
+app.get("/api/health", (_req,res)=>{
+  res.json({
+    ok: true,
+    players: PLAYERS.length,
+    lastRefresh: LAST_REFRESH,
+    source: LAST_SOURCE,
+    dataAt: LAST_DATA_AT,
+    ageMinutes: ageMinutes(LAST_DATA_AT),
+    stale: isStale(LAST_DATA_AT),
+    sources: sourcesHealth(),
+    sport: CURRENT_SPORT,
+    site: CURRENT_SITE,
+    mode: CURRENT_MODE,
+    slates: SLATES.size,
+    jobs: { running: [...JOBS.values()].filter(j => j.status === "running").length, queued: JOB_QUEUE.length },
+    time: new Date().toISOString()
+  });
+});
+
+// Players plus ownership (imported, else modelled for the pool's roster)
+const playersWithOwnership = (players, site, sport, mode) => {
+  const roster = getRoster(site, sport, mode);
+  return roster ? withOwnership(players, roster) : players;
+};
+
+app.get("/api/players", async (req,res)=>{
+  if (req.query.slateId) {
+    const slate = getSlate(req.query.slateId);
+    if (!slate) return res.status(404).json({ error:`Unknown slate "${req.query.slateId}"` });
+    const { players, sport, site, mode, id, name } = slate;
+    return res.json({ players: playersWithOwnership(applyProjections(players), site, sport, mode), sport, site, mode, slateId: id, slateName: name });
+  }
+  try {
+    await ensureFresh();
+    res.json({ players: playersWithOwnership(PLAYERS, CURRENT_SITE, CURRENT_SPORT, CURRENT_MODE), sport: CURRENT_SPORT, site: CURRENT_SITE, mode: CURRENT_MODE });
+  }
+  catch(e){ res.status(500).json({ error:String(e.message||e) }); }
+});
+
+// Players dropped by the status filter (same context params as optimize; ?excludeStatuses=Q,D or empty for none)
+app.get("/api/players/excluded", async (req,res)=>{
+  try { await ensureFresh(); } catch {}
+  const q = req.query;
+  const { sport, site, mode, excluded, excludeStatuses, error, status } = requestContext({
+    slateId: q.slateId, sport: q.sport, site: q.site, mode: q.mode, excludeStatuses: q.excludeStatuses
+  });
+  if (error) return res.status(status || 400).json({ error });
+  res.json({
+    sport, site, mode, excludeStatuses,
+    count: excluded.length,
+    excluded: excluded.map(p => ({
+      id: p.id, name: p.name, team: p.team, pos: p.pos, salary: p.salary, proj: p.proj,
+      status: p.status, injuryNote: p.injuryNote,
+      reason: `status ${p.status} is excluded${p.injuryNote ? ` (${p.injuryNote})` : ""}`
+    }))
+  });
+});
+
+// Multi-lineup, SPORT-AWARE
+app.post("/api/lineups/optimize", async (req,res)=>{
+  try { await ensureFresh(); } catch {}
+  const prep = optimizeRequest(req.body || {});
+  if (prep.reply) return res.json(prep.reply);
+  if (prep.error) return res.status(prep.status || 400).json({ error: prep.error });
+
+  // same worker-backed job as /api/jobs/optimize, answered when it finishes
+  const job = startJob(prep);
+  res.on("close", () => { if (!res.writableEnded) cancelJob(job); });
+  await job.done;
+  if (job.status === "cancelled") return;
+  if (job.status === "error") return res.status(400).json({ error: job.error });
+  res.json(job.result);
+});
+
+// Background optimize: same body as /api/lineups/optimize (+ constraints.timeLimitMs); returns a job id
+app.post("/api/jobs/optimize", async (req,res)=>{
+  try { await ensureFresh(); } catch {}
+  const prep = optimizeRequest(req.body || {});
+  if (prep.reply) return res.status(400).json({ error: prep.reply.error });
+  if (prep.error) return res.status(prep.status || 400).json({ error: prep.error });
+  const job = startJob(prep);
+  res.status(202).json({ jobId: job.id, ...publicJob(job) });
+});
+
+app.get("/api/jobs", (_req,res)=>{
+  res.json({ jobs: [...JOBS.values()].map(j => publicJob(j)) });
+});
+
+app.get("/api/jobs/:id", (req,res)=>{
+  const job = JOBS.get(req.params.id);
+  if (!job) return res.status(404).json({ error:`Unknown job "${req.params.id}"` });
+  res.json(publicJob(job, { lineups: true }));
+});
+
+// Server-Sent Events: "status" snapshot (with lineups so far), then "lineup", "progress" and a final "done"
+app.get("/api/jobs/:id/events", (req,res)=>{
+  const job = JOBS.get(req.params.id);
+  if (!job) return res.status(404).json({ error:`Unknown job "${req.params.id}"` });
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.flushHeaders();
+  res.write(`event: status\ndata: ${JSON.stringify(publicJob(job, { lineups: true }))}\n\n`);
+  if (job.finishedAt) {
+    res.write(`event: done\ndata: ${JSON.stringify(publicJob(job))}\n\n`);
+    return res.end();
+  }
+  job.listeners.add(res);
+  const ping = setInterval(() => res.write(": ping\n\n"), 15000);
+  req.on("close", () => { clearInterval(ping); job.listeners.delete(res); });
+});
+
+// ----------------- Runs -----------------
+app.get("/api/runs", (_req,res)=>{
+  res.json({ runs: [...RUNS.values()].sort((a,b)=> Number(b.id) - Number(a.id)) });
+});
+
+// Exposure diff: ?a=<runId>&b=<runId>
+app.get("/api/runs/diff", (req,res)=>{
+  const a = getRun(req.query.a), b = getRun(req.query.b);
+  if (!a || !b) return res.status(404).json({ error:`Unknown run "${!a ? req.query.a : req.query.b}"` });
+  res.json(diffRuns(a, b));
+});
+
+app.get("/api/runs/:id", (req,res)=>{
+  const run = getRun(req.params.id);
+  if (!run) return res.status(404).json({ error:`Unknown run "${req.params.id}"` });
+  res.json(expandRun(run));
+});
 
-  const pool = PLAYERS.filter(p => (p.sport || CURRENT_SPORT) === sport);
-  if (!pool.length) return res.json({ salaryCap, count:0, lineups:[], sport, error:"No players loaded for this sport" });
+app.get("/api/runs/:id/summary", (req,res)=>{
+  const run = getRun(req.params.id);
+  if (!run) return res.status(404).json({ error:`Unknown run "${req.params.id}"` });
+  res.json({ runId: run.id, ...portfolioSummary(expandRun(run).lineups) });
+});
+
+// Replay a run: same constraints, seed, roster and pool snapshot; reports whether the output matches
+app.post("/api/runs/:id/rerun", async (req,res)=>{
+  const run = getRun(req.params.id);
+  if (!run) return res.status(404).json({ error:`Unknown run "${req.params.id}"` });
+  const pool = runPool(run);
+  if (!pool) return res.status(410).json({ error:`Pool snapshot ${run.poolHash} for run ${run.id} is missing` });
+  const ctx = { sport: run.sport, site: run.site, mode: run.mode, roster: run.roster, pool, slate: null, excluded: [] };
+  const prep = optimizeRequest({ constraints: { ...run.constraints, seed: run.seed } }, ctx, { rerunOf: run.id });
+  if (prep.error) return res.status(prep.status || 400).json({ error: prep.error });
+
+  const job = startJob(prep);
+  res.on("close", () => { if (!res.writableEnded) cancelJob(job); });
+  await job.done;
+  if (job.status === "cancelled") return;
+  if (job.status === "error") return res.status(400).json({ error: job.error });
+  const ids = (list) => list.map(L => (L.ids || L.lineup.map(p => p.id)).join("|")).join("\n");
+  res.json({ ...job.result, rerunOf: run.id, identical: ids(job.lineups) === ids(run.lineups) });
+});
+
+// Cancel a queued/running job (partial lineups are kept); removes a finished one
+app.delete("/api/jobs/:id", (req,res)=>{
+  const job = JOBS.get(req.params.id);
+  if (!job) return res.status(404).json({ error:`Unknown job "${req.params.id}"` });
+  if (job.finishedAt) { JOBS.delete(job.id); return res.json({ ok:true, removed: job.id }); }
+  cancelJob(job);
+  res.json({ ok:true, ...publicJob(job) });
+});
+
+app.get("/api/contests", (_req,res)=> res.json({ contests: CONTESTS }));
+
+// Monte Carlo contest simulation for given lineups ({ lineups }), the lineups of a finished
+// optimize job ({ jobId }) or lineups built for the request on a worker job (as /api/lineups/optimize)
+app.post("/api/simulate", async (req,res)=>{
+  try { await ensureFresh(); } catch {}
+  const body = req.body || {};
+  const c = body.constraints || {};
+
+  const { sport, site, roster, pool, error, status } = requestContext({ ...c, slateId: c.slateId ?? body.slateId });
+  if (error) return res.status(status || 400).json({ error });
+  const salaryCap = Number(c.salaryCap ?? roster.cap);
+  if (!pool.length) return res.status(400).json({ error:"No players loaded for this sport/site" });
+
+  const contest = body.contest || CONTESTS.find(x => x.id === body.contestId);
+  if (!contest) return res.status(400).json({ error:`Unknown contest "${body.contestId ?? ""}"`, contests: CONTESTS.map(x => x.id) });
+
+  let seed = c.seed ?? body.seed;
+  if (seed !== undefined && (!["number", "string"].includes(typeof seed) || String(seed).length > 64)) {
+    return res.status(400).json({ error:"seed must be a number or a string of up to 64 characters" });
+  }
+
+  let lineups, built = {};
+  try {
+    lineups = resolveLineups(body.lineups, pool);
+    if (!lineups.length && body.jobId !== undefined) {
+      const job = JOBS.get(String(body.jobId));
+      if (!job) return res.status(404).json({ error:`Unknown job "${body.jobId}"` });
+      if (!job.finishedAt) return res.status(409).json({ error:`Job ${job.id} is ${job.status}; simulate it once it is done` });
+      lineups = resolveLineups(job.lineups, pool);
+    }
+  } catch(e){
+    return res.status(400).json({ error:String(e.message||e) });
+  }
+  if (!lineups.length && body.jobId === undefined) {
+    // generated lineups are recorded as a run but only saved to the slate with { save:true }
+    const prep = optimizeRequest({ ...body, save: body.save ?? false, constraints: { numLineups: 20, ...c } });
+    if (prep.reply) return res.status(400).json({ error: prep.reply.error });
+    if (prep.error) return res.status(prep.status || 400).json({ error: prep.error });
+    const job = startJob(prep);
+    res.on("close", () => { if (!res.writableEnded) cancelJob(job); });
+    await job.done;
+    if (job.status === "cancelled") return;
+    if (job.status === "error") return res.status(400).json({ error: job.error });
+    lineups = resolveLineups(job.lineups, pool);
+    seed = prep.seed;
+    built = { jobId: job.id, ...(job.result?.runId ? { runId: job.result.runId } : {}) };
+  }
+  if (!lineups.length) return res.status(400).json({ error:"No lineups to simulate" });
+
+  try {
+    const out = withSeed(seed, () => simulateContest(lineups, pool, roster, contest, {
+      sims: clamp(Number(body.sims ?? 2000), 1, 20000),
+      fieldSize: body.fieldSize ? Number(body.fieldSize) : undefined,
+      correlation: Number(body.correlation ?? 0.35),
+      fieldPool: body.fieldPool ? Number(body.fieldPool) : undefined,
+      fieldNoise: body.fieldNoise ? Number(body.fieldNoise) : undefined,
+      salaryCap
+    }));
+    res.json({ sport, site, ...out, ...(seed !== undefined ? { seed } : {}), ...built, lineups: lineups.map(L => ({ lineup: L })) });
+  } catch(e){
+    res.status(400).json({ error:String(e.message||e) });
+  }
+});
+
+// Portfolio analytics for generated lineups: { lineups: [{ lineup, stackTeam? }] | [[ids]], slateId?, sport?, site?, mode?, projections? }
+app.post("/api/lineups/summary", (req,res)=>{
+  const body = req.body || {};
+  const { sport, site, mode, pool, error, status } = requestContext({
+    slateId: body.slateId, sport: body.sport, site: body.site, mode: body.mode, projections: body.projections, excludeStatuses: []
+  });
+  if (error) return res.status(status || 400).json({ error });
+  try {
+    const raw = body.lineups || [];
+    if (!raw.length) return res.status(400).json({ error:"Provide { lineups }" });
+    const players = resolveLineups(raw, pool);
+    const lineups = raw.map((L, i) => Array.isArray(L) ? players[i] : { ...L, lineup: players[i] });
+    res.json({ sport, site, mode, ...portfolioSummary(lineups, { bins: clamp(Number(body.bins ?? 10), 1, 50) }) });
+  } catch(e){
+    res.status(400).json({ error:String(e.message||e) });
+  }
+});
+
+// Export lineups as a DraftKings bulk-upload CSV (optionally filling a DKEntries.csv)
+app.post("/api/lineups/export", (req,res)=>{
+  const format = String(req.query.format || req.body?.format || "dk").toLowerCase();
+  if (format !== "dk") return res.status(400).json({ error:`Unsupported export format "${format}"` });
+
+  const body = req.body || {};
+  const { sport, roster, pool, error, status } = requestContext({ sport: body.sport, site: "DK", slateId: body.slateId, excludeStatuses: [] });
+  if (error) return res.status(status || 400).json({ error });
 
-  if (count <= 1) {
-    const one = buildLineupStrict(pool, roster, { salaryCap, noise, temperature, maxPerTeam, tries: triesPerLineup });
-    return res.json(one || { error:"Could not build a lineup. Check pool/constraints." });
+  try {
+    const lineups = resolveLineups(body.lineups, pool);
+    if (!lineups.length) return res.status(400).json({ error:"Provide { lineups }" });
+
+    let csv;
+    if (trim(body.entriesCsv)) {
+      const out = fillDKEntriesCsv(body.entriesCsv, lineups, roster);
+      csv = out.csv;
+      res.set("X-Entries-Filled", String(out.filled));
+      res.set("X-Entries-Total", String(out.entries));
+    } else {
+      csv = buildDKUploadCsv(lineups, roster);
+    }
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${trim(body.entriesCsv) ? "DKEntries" : "DKUpload"}_${sport}.csv"`);
+    res.send(csv);
+  } catch(e){
+    res.status(400).json({ error:String(e.message||e) });
   }
+});
+
+// Late swap: re-optimise unstarted slots of existing lineups (or a filled DKEntries.csv).
+// Body: { lineups | entriesCsv, now?, constraints: { slateId, sport, site, stack, excludeStatuses, locks, excludes, ... } }
+app.post("/api/lineups/lateswap", async (req,res)=>{
+  try { await ensureFresh(); } catch {}
+  const body = req.body || {};
+  const c = body.constraints || {};
+  const slateId = c.slateId ?? body.slateId;
+
+  const { sport, site, mode, roster, pool, error, status } = requestContext({ ...c, slateId });
+  if (error) return res.status(status || 400).json({ error });
+  // lineups are read against the whole pool so ruled-out players can still be found (and swapped out)
+  const everyone = requestContext({ ...c, slateId, excludeStatuses: [] }).pool;
+
+  const now = body.now ? Date.parse(body.now) : Date.now();
+  if (!Number.isFinite(now)) return res.status(400).json({ error:`Bad "now" time "${body.now}"` });
+  const salaryCap  = Number(c.salaryCap ?? roster.cap);
+  const maxPerTeam = Number(c.maxPerTeam ?? roster.defaultMaxPerTeam);
 
-  const many = generateLineups(pool, roster, { salaryCap, count, noise, temperature, maxPerTeam, minDiff, triesPerLineup });
-  res.json({ salaryCap, count: many.length, lineups: many, sport });
+  try {
+    let entries;
+    if (trim(body.entriesCsv)) entries = readDKEntries(body.entriesCsv, roster);
+    else entries = resolveLineups(body.lineups, everyone).map(lineup => ({ lineup }));
+    if (!entries.length) return res.status(400).json({ error:"Provide { lineups } or { entriesCsv }" });
+    const byId = new Map(everyone.map(p => [String(p.id), p]));
+    for (const e of entries) {
+      if (e.lineup || !e.ids) continue;
+      const missing = e.ids.filter(id => !byId.has(id));
+      if (missing.length) throw new Error(`Entry ${e.entryId}: unknown player id(s) ${missing.join(", ")}`);
+      e.lineup = e.ids.map(id => byId.get(id));
+    }
+
+    const stack = resolveStackRules(roster, c.stack, pool, { maxPerTeam });
+    const ctl = resolvePlayerControls(pool, { locks: c.locks, excludes: c.excludes });
+    if (ctl.errors.length) throw new Error(ctl.errors.join("; "));
+
+    const warnings = [];
+    if (!pool.some(p => p.gameTime)) warnings.push("No game times in the pool (salary CSV Game Info); nothing is locked");
+    const out = entries.map(e => {
+      if (!e.lineup) return { entryId: e.entryId, lineup: null, kept: "entry has no complete lineup" };
+      const r = lateSwapLineup(e.lineup, ctl.pool, roster, {
+        now, salaryCap, maxPerTeam, stack, locks: ctl.locked,
+        noise: Number(c.noise ?? 0.3), tries: Number(c.triesPerLineup ?? 400)
+      });
+      return e.entryId ? { entryId: e.entryId, ...r } : r;
+    });
+
+    const result = {
+      now: new Date(now).toISOString(), sport, site, mode,
+      count: out.length,
+      swapped: out.filter(L => L.swaps?.length).length,
+      lineups: out,
+      warnings
+    };
+    if (trim(body.entriesCsv)) result.csv = fillDKEntriesCsv(body.entriesCsv, out.map(L => L.lineup), roster).csv;
+    res.json(result);
+  } catch(e){
+    res.status(400).json({ error:String(e.message||e) });
+  }
 });
 
 // Legacy single lineup (kept for compatibility)
 app.post("/api/optimize", async (req,res)=>{
   try { await ensureFresh(); } catch {}
-  const cap = Number(req.body?.salaryCap ?? ROSTERS[CURRENT_SPORT]?.cap ?? 50000);
-  const roster = ROSTERS[CURRENT_SPORT] || ROSTERS.NFL;
-  const pool = PLAYERS.filter(p => (p.sport || CURRENT_SPORT) === CURRENT_SPORT);
+  const { roster, pool } = requestContext();
+  const cap = Number(req.body?.salaryCap ?? roster.cap);
   if (!pool.length) return res.json({ error:"No players loaded" });
   const one = buildLineupStrict(pool, roster, { salaryCap: cap, noise: 1.0, temperature: 0.6, maxPerTeam: roster.defaultMaxPerTeam, tries: 300 });
   res.json(one || { error:"Could not build a lineup. Check player pool." });
 });
 
-// Admin: refresh NFL from nflverse
+// Admin: refresh NFL from nflverse (scored and salaried for ?site=DK|FD|YAHOO, optional scoring system id)
 app.post("/api/admin/refresh", async (req,res)=>{
   const token = req.headers["x-admin-token"] || req.query.token || "";
   if (token !== ADMIN_TOKEN) return res.status(401).json({ error:"Unauthorized" });
   try {
-    const info = await refreshNflverse();
+    const info = await refreshNflverse(normSite(req.body?.site || req.query.site) || CURRENT_SITE, req.body?.scoring || req.query.scoring);
     res.json({ ok:true, ...info });
   } catch(e){
     res.status(500).json({ error:String(e.message||e) });
   }
 });
 
-// Admin: DK loader (CSV or URL) — auto sport detect, injury-filter aware
-app.post("/api/admin/dk", async (req,res)=>{
+// Admin: salary loader (CSV or URL) — auto site + sport detect, injury-filter aware
+app.post(["/api/admin/dk", "/api/admin/salaries"], async (req,res)=>{
   const token = req.headers["x-admin-token"] || "";
   if (token !== ADMIN_TOKEN) return res.status(401).json({ error:"Unauthorized" });
 
   const rawCsv = trim(req.body?.csv || "");
   const url    = trim(req.body?.url || "");
+  const siteHint = req.body?.site;
 
   try {
     if (rawCsv) {
-      const { players, sport } = parseDKCsvToPlayers(rawCsv);
-      if (!players.length) throw new Error("No players in CSV");
-      PLAYERS = players;
+      const { players, sport, site, mode } = await loadFrom("dkUpload", { csv: rawCsv, site: siteHint });
+      PLAYERS = applyProjections(players);
       CURRENT_SPORT = sport;
-      LAST_REFRESH = new Date().toISOString();
-      LAST_SOURCE  = "draftkings";
-      return res.json({ ok:true, count: PLAYERS.length, sport, source: LAST_SOURCE });
+      CURRENT_SITE = site;
+      CURRENT_MODE = mode;
+      LAST_REFRESH = LAST_DATA_AT = new Date().toISOString();
+      LAST_SOURCE  = SITE_SOURCE[site];
+      return res.json({ ok:true, count: PLAYERS.length, sport, site, mode, source: LAST_SOURCE });
     }
     if (url) {
-      const info = await loadDKFromUrl(url);
+      const info = await loadDKFromUrl(url, siteHint);
       return res.json(info);
     }
     return res.status(400).json({ error:"Provide either { csv } or { url }" });
@@ -565,7 +3621,186 @@ app.post("/api/admin/dk", async (req,res)=>{
   }
 });
 
-// ----------------- Start -----------------
-app.listen(PORT, "0.0.0.0", ()=>{
-  console.log(`Fantasy backend running on port ${PORT}`);
+// Admin: custom projections (CSV or JSON rows), source weights and manual overrides
+app.get("/api/admin/projections", (req,res)=>{
+  const token = req.headers["x-admin-token"] || req.query.token || "";
+  if (token !== ADMIN_TOKEN) return res.status(401).json({ error:"Unauthorized" });
+  res.json(projectionSummary());
+});
+
+app.post("/api/admin/projections", (req,res)=>{
+  const token = req.headers["x-admin-token"] || "";
+  if (token !== ADMIN_TOKEN) return res.status(401).json({ error:"Unauthorized" });
+  const b = req.body || {};
+  if (!trim(b.csv) && !(b.rows||[]).length && !(b.overrides||[]).length && b.weight === undefined && b.siteWeight === undefined)
+    return res.status(400).json({ error:"Provide { csv } or { rows } (plus optional source, weight), { overrides } or { siteWeight }" });
+  const slate = b.slateId ? getSlate(b.slateId) : null;
+  if (b.slateId && !slate) return res.status(404).json({ error:`Unknown slate "${b.slateId}"` });
+  const pool = slate ? slate.players : PLAYERS;
+  if (!pool.length) return res.status(400).json({ error:"Load a player pool before importing projections" });
+  try {
+    const report = importProjections({ source: trim(b.source) || "custom", weight: b.weight, csv: b.csv, rows: b.rows, overrides: b.overrides, siteWeight: b.siteWeight }, pool);
+    res.json({ ok:true, ...report, ...projectionSummary() });
+  } catch(e){
+    res.status(500).json({ error:String(e.message||e) });
+  }
+});
+
+app.delete("/api/admin/projections/:source", (req,res)=>{
+  const token = req.headers["x-admin-token"] || "";
+  if (token !== ADMIN_TOKEN) return res.status(401).json({ error:"Unauthorized" });
+  const name = req.params.source;
+  if (name === "overrides") PROJ_OVERRIDES.clear();
+  else if (!PROJ_SOURCES.delete(name)) return res.status(404).json({ error:`No projection source "${name}"` });
+  applyProjections(PLAYERS);
+  saveProjections();
+  res.json({ ok:true, ...projectionSummary() });
+});
+
+// Admin: offline backtest over a past season from the local nflverse CSVs (NFLVERSE_DIR)
+app.post("/api/admin/backtest", (req,res)=>{
+  const token = req.headers["x-admin-token"] || "";
+  if (token !== ADMIN_TOKEN) return res.status(401).json({ error:"Unauthorized" });
+  const b = req.body || {};
+  const c = b.constraints || {};
+  const season = Number(b.season);
+  if (!Number.isInteger(season)) return res.status(400).json({ error:"Provide { season } (e.g. 2023)" });
+  const site = normSite(b.site || c.site || "DK");
+  if (!site) return res.status(400).json({ error:`Unknown site "${b.site || c.site}" (use ${SITES.join(", ")})` });
+  try {
+    const report = runBacktest(season, {
+      ...c,
+      site,
+      weeks: Array.isArray(b.weeks) ? b.weeks : undefined,
+      fromWeek: b.fromWeek !== undefined ? Number(b.fromWeek) : undefined,
+      toWeek: b.toWeek !== undefined ? Number(b.toWeek) : undefined,
+      weights: Array.isArray(b.weights) ? b.weights.map(Number) : b.weights,
+      solver: String(c.solver || "greedy").toLowerCase(),
+      count: Math.max(1, Number(c.numLineups ?? b.count ?? 20)),
+      onlyActive: b.onlyActive === true,
+      optimal: b.optimal !== false,
+      matchups: b.matchups !== false,
+      scoring: b.scoring ?? c.scoring
+    });
+    res.json(report);
+  } catch(e){
+    res.status(400).json({ error:String(e.message||e) });
+  }
+});
+
+// ----------------- Scoring systems -----------------
+app.get("/api/scoring", (_req,res)=>{
+  res.json({ systems: listScoring(), siteDefaults: SITE_SCORING, stats: { offense: OFFENSE_STATS, dst: [...DST_STATS, "pointsAllowed"] } });
+});
+
+// Admin: add or replace a custom system { id, name?, base?, offense?, bonuses?, dst? }
+app.post("/api/admin/scoring", (req,res)=>{
+  const token = req.headers["x-admin-token"] || "";
+  if (token !== ADMIN_TOKEN) return res.status(401).json({ error:"Unauthorized" });
+  try {
+    const { id, system } = normScoring(req.body || {});
+    CUSTOM_SCORING.set(id, system);
+    saveScoring();
+    res.json({ ok:true, id, ...system });
+  } catch(e){
+    res.status(400).json({ error:String(e.message||e) });
+  }
+});
+
+app.delete("/api/admin/scoring/:id", (req,res)=>{
+  const token = req.headers["x-admin-token"] || "";
+  if (token !== ADMIN_TOKEN) return res.status(401).json({ error:"Unauthorized" });
+  const id = trim(req.params.id).toUpperCase();
+  if (BUILTIN_SCORING[id]) return res.status(400).json({ error:`"${id}" is a built-in scoring system` });
+  if (!CUSTOM_SCORING.delete(id)) return res.status(404).json({ error:`No custom scoring system "${id}"` });
+  saveScoring();
+  res.json({ ok:true, id });
+});
+
+// ----------------- Slates -----------------
+app.get("/api/slates", (_req,res)=>{
+  res.json({ slates: [...SLATES.values()].map(slateSummary) });
+});
+
+app.get("/api/slates/:id", (req,res)=>{
+  const slate = getSlate(req.params.id);
+  if (!slate) return res.status(404).json({ error:`Unknown slate "${req.params.id}"` });
+  res.json({ ...slate, players: applyProjections(slate.players) });
 });
+
+// Admin: create a slate from { name, csv | url | nflverse:true | fromCurrent:true, site?, scoring? }
+app.post("/api/slates", async (req,res)=>{
+  const token = req.headers["x-admin-token"] || "";
+  if (token !== ADMIN_TOKEN) return res.status(401).json({ error:"Unauthorized" });
+  try {
+    const slate = await createSlate(req.body || {});
+    res.status(201).json({ ok:true, ...slateSummary(slate) });
+  } catch(e){
+    res.status(400).json({ error:String(e.message||e) });
+  }
+});
+
+// Admin: rename and/or reload a slate's pool (same body as create; all optional)
+app.put("/api/slates/:id", async (req,res)=>{
+  const token = req.headers["x-admin-token"] || "";
+  if (token !== ADMIN_TOKEN) return res.status(401).json({ error:"Unauthorized" });
+  const slate = getSlate(req.params.id);
+  if (!slate) return res.status(404).json({ error:`Unknown slate "${req.params.id}"` });
+  try {
+    res.json({ ok:true, ...slateSummary(await updateSlate(slate, req.body || {})) });
+  } catch(e){
+    res.status(400).json({ error:String(e.message||e) });
+  }
+});
+
+app.delete("/api/slates/:id", (req,res)=>{
+  const token = req.headers["x-admin-token"] || "";
+  if (token !== ADMIN_TOKEN) return res.status(401).json({ error:"Unauthorized" });
+  if (!deleteSlate(req.params.id)) return res.status(404).json({ error:`Unknown slate "${req.params.id}"` });
+  res.json({ ok:true });
+});
+
+// Saved lineup sets (written by /api/lineups/optimize with a slateId)
+app.get("/api/slates/:id/lineups", (req,res)=>{
+  const slate = getSlate(req.params.id);
+  if (!slate) return res.status(404).json({ error:`Unknown slate "${req.params.id}"` });
+  res.json({ slateId: slate.id, lineupSets: slate.lineupSets });
+});
+
+app.get("/api/slates/:id/lineups/:setId", (req,res)=>{
+  const slate = getSlate(req.params.id);
+  if (!slate) return res.status(404).json({ error:`Unknown slate "${req.params.id}"` });
+  const set = getLineupSet(slate, req.params.setId);
+  if (!set) return res.status(404).json({ error:`Unknown lineup set "${req.params.setId}"` });
+  res.json({ slateId: slate.id, ...set });
+});
+
+app.delete("/api/slates/:id/lineups/:setId", (req,res)=>{
+  const token = req.headers["x-admin-token"] || "";
+  if (token !== ADMIN_TOKEN) return res.status(401).json({ error:"Unauthorized" });
+  const slate = getSlate(req.params.id);
+  if (!slate) return res.status(404).json({ error:`Unknown slate "${req.params.id}"` });
+  if (!deleteLineupSet(slate, req.params.setId)) return res.status(404).json({ error:`Unknown lineup set "${req.params.setId}"` });
+  res.json({ ok:true });
+});
+
+// ----------------- Start -----------------
+// Only when run directly; optimize-worker.js requires this file for the optimizer functions.
+if (require.main === module) {
+  loadProjections();
+  loadScoring();
+  loadSlates();
+  loadRuns();
+  setInterval(()=>{ ensureFresh().catch(()=>{}); }, 30*60*1000);
+  ensureFresh().catch(()=>{});
+  app.listen(PORT, "0.0.0.0", ()=>{
+    console.log(`Fantasy backend running on port ${PORT}`);
+  });
+}
+
+module.exports = {
+  parseSalaryCsv, parseDKCsvToPlayers, ROSTERS, getRoster, poolContext, optimizeRequest,
+  resolvePlayerControls, exposureShortfalls, resolveStackRules, resolveRules, generateLineups, solveLineupsExact, withSeed,
+  simulateContest, samplePlayerScores, portfolioSummary, buildDKUploadCsv, fillDKEntriesCsv, readDKEntries, lateSwapLineup,
+  getScoring, normScoring, offensePoints, dstPoints, app
+};
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// 2001 fixture season: KC@BUF and MIA@NYJ, weeks 1-3, every line repeats week to week except
+// KC WR1 (10 DK points in weeks 1-2, 34 in week 3) and MIA RB2 (4.7 points, no stat line in week 3)
+const STORE = fs.mkdtempSync(path.join(os.tmpdir(), "fantasy-sim-store-"));
+process.env.STORE_DIR = STORE;
+process.env.NFLVERSE_DIR = path.join(__dirname, "fixtures", "nflverse");
+process.env.NFLVERSE_OFFLINE = "1";
+const { app } = require("../server");
+
+const ADMIN = { "x-admin-token": process.env.ADMIN_TOKEN || "Truetrenddfs4u!", "content-type": "application/json" };
+let server, base;
+test.before(() => new Promise(resolve => { server = app.listen(0, "127.0.0.1", () => { base = `http://127.0.0.1:${server.address().port}`; resolve(); }); }));
+test.after(() => { server.close(); fs.rmSync(STORE, { recursive: true, force: true }); });
+
+const backtest = async (body) => {
+  const r = await fetch(`${base}/api/admin/backtest`, { method: "POST", headers: ADMIN,
+    body: JSON.stringify({ season: 2001, matchups: false, optimal: false, constraints: { numLineups: 2 }, ...body }) });
+  return { status: r.status, body: await r.json() };
+};
+
+test("each week is projected only from the weeks before it", async () => {
+  const { status, body } = await backtest({});
+  assert.equal(status, 200);
+  assert.deepEqual(body.weeks.map(w => w.week), [2, 3]);
+  assert.deepEqual(body.weeks.map(w => w.pool), [32, 32]);
+  assert.ok(body.weeks.every(w => w.lineups === 2 && !w.infeasible));
+  // week 3 misses KC WR1 by 10 - 34 and MIA RB2 (kept, scored 0) by 4.7
+  const { all, byPos } = body.projectionError;
+  assert.deepEqual(all, { n: 64, mae: 0.45, bias: -0.3 });
+  assert.deepEqual(byPos.WR, { n: 24, mae: 1, bias: -1 });
+  assert.deepEqual(byPos.RB, { n: 16, mae: 0.29, bias: 0.29 });
+  assert.deepEqual(byPos.QB, { n: 8, mae: 0, bias: 0 });
+  assert.deepEqual(byPos.DST, { n: 8, mae: 0, bias: 0 });
+  assert.equal(body.settings.onlyActive, false);
+  assert.equal(body.hindsightFiltered, undefined);
+});
+
+test("a single replayed week ignores its own stats", async () => {
+  const { body } = await backtest({ weeks: [3] });
+  assert.deepEqual(body.weeks.map(w => w.week), [3]);
+  assert.deepEqual(body.projectionError.byPos.WR, { n: 12, mae: 2, bias: -2 });
+});
+
+test("onlyActive drops players without a stat line that week and flags the report", async () => {
+  const { body } = await backtest({ onlyActive: true });
+  assert.deepEqual(body.weeks.map(w => w.pool), [32, 31]);
+  assert.deepEqual(body.projectionError.byPos.RB, { n: 15, mae: 0, bias: 0 });
+  assert.equal(body.settings.onlyActive, true);
+  assert.equal(body.hindsightFiltered, true);
+});
+
+test("week 1 has no history to project from", async () => {
+  const { status, body } = await backtest({ weeks: [1] });
+  assert.equal(status, 400);
+  assert.match(body.error, /No weeks to replay/);
+});
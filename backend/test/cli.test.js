@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { main } = require("../cli");
+const { FIXTURES } = require("./helpers");
+
+const CLI = path.join(__dirname, "..", "cli.js");
+const CSV = path.join(FIXTURES, "dk-nfl.csv");
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "fantasy-sim-cli-"));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const cli = (...args) => spawnSync(process.execPath, [CLI, ...args], {
+  encoding: "utf8", timeout: 120000, env: { ...process.env, STORE_DIR: path.join(tmp, "store") }
+});
+
+test("exit 0: lineups on stdout and a DK upload file", () => {
+  const out = path.join(tmp, "upload.csv");
+  const r = cli("optimize", "--csv", CSV, "--count", "3", "--seed", "1", "--json", "--quiet", "--out", out);
+  assert.equal(r.status, 0, r.stderr);
+  const json = JSON.parse(r.stdout);
+  assert.equal(json.lineups.length, 3);
+  assert.equal(json.seed, 1);
+  const rows = fs.readFileSync(out, "utf8").trim().split(/\r?\n/);
+  assert.equal(rows.length, 4);
+  assert.match(rows[0], /^QB,RB,RB,WR,WR,WR,TE,FLEX,DST/);
+});
+
+test("exit 1: bad input", () => {
+  assert.equal(cli("optimize").status, 1);
+  assert.equal(cli("optimize", "--csv", CSV, "--count", "many").status, 1);
+  const r = cli("optimize", "--csv", CSV, "--locks", "Nobody");
+  assert.equal(r.status, 1);
+  assert.match(r.stderr, /no player "Nobody"/);
+  assert.equal(cli("frobnicate").status, 1);
+});
+
+test("exit 2: constraints no lineup can satisfy", () => {
+  const r = cli("optimize", "--csv", CSV, "--salary-cap", "10000");
+  assert.equal(r.status, 2);
+  assert.match(r.stderr, /no lineup satisfies/);
+});
+
+test("main leaves console.log alone for importers", () => {
+  const log = console.log;
+  const error = console.error;
+  console.error = () => {};
+  try { assert.equal(main(["--help"]), 0); }
+  finally { console.error = error; }
+  assert.equal(console.log, log);
+});
@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Papa = require("papaparse");
+const { solveLineupsExact, buildDKUploadCsv, fillDKEntriesCsv, readDKEntries } = require("../server");
+const { nflSlate, fixture, ids } = require("./helpers");
+
+const { pool, roster, site, sport } = nflSlate();
+const lineups = solveLineupsExact(pool, roster, { count: 3, stack: false }).map(L => L.lineup);
+const cellId = (c) => c.match(/\((\d+)\)$/)[1];
+
+test("salary CSV parses to a DK NFL pool", () => {
+  assert.equal(site, "DK");
+  assert.equal(sport, "NFL");
+  assert.equal(pool.length, 192);
+  const p = pool.find(x => x.id === "30000003");
+  assert.deepEqual({ name: p.name, team: p.team, pos: p.pos, salary: p.salary, game: p.game, opp: p.opp },
+    { name: "KC RB1", team: "KC", pos: "RB", salary: 4900, game: "BUF@KC", opp: "BUF" });
+});
+
+test("DK upload CSV round-trips slot headers and player IDs", () => {
+  const { data } = Papa.parse(buildDKUploadCsv(lineups, roster), { skipEmptyLines: true });
+  assert.deepEqual(data[0], ["QB", "RB", "RB", "WR", "WR", "WR", "TE", "FLEX", "DST"]);
+  assert.equal(data.length, lineups.length + 1);
+  data.slice(1).forEach((row, i) => {
+    assert.deepEqual(row.map(cellId), ids(lineups[i]));
+    row.forEach((c, si) => assert.ok(roster.slots[si].allow.includes(pool.find(p => p.id === cellId(c)).pos)));
+  });
+});
+
+test("DKEntries fill keeps the entry and instruction columns", () => {
+  const entries = fixture("dk-entries.csv");
+  const { csv, filled } = fillDKEntriesCsv(entries, lineups.slice(0, 2), roster);
+  assert.equal(filled, 2);
+  const read = readDKEntries(csv, roster);
+  assert.deepEqual(read.map(e => e.entryId), ["4500000001", "4500000002", "4500000003"]);
+  assert.deepEqual(read.map(e => e.ids), [ids(lineups[0]), ids(lineups[1]), null]);
+  const rows = Papa.parse(csv).data;
+  assert.equal(rows[1][14], "1. Locate the player you want to select in the list below");
+  assert.deepEqual(rows[4].slice(14, 17), ["Position", "Name + ID", "Name"]);
+});
+
+test("lineups that don't fit the roster are refused", () => {
+  assert.throws(() => buildDKUploadCsv([lineups[0].slice(1)], roster), /does not fit 9 roster slots/);
+  assert.throws(() => fillDKEntriesCsv("a,b\n1,2\n", lineups, roster), /no "Entry ID" header/);
+});
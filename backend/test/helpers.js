@@ -0,0 +1,25 @@
+// Shared fixtures for the node:test suites (test/*.test.js).
+const fs = require("fs");
+const path = require("path");
+const { parseSalaryCsv, poolContext } = require("../server");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), "utf8");
+
+// parseSalaryCsv reports what it loaded on console.log; keep test output clean
+function quietly(fn){
+  const log = console.log;
+  console.log = () => {};
+  try { return fn(); }
+  finally { console.log = log; }
+}
+
+// DK NFL classic slate: 6 games, 192 players ({ sport, site, mode, roster, pool, ... })
+function nflSlate(c = {}){
+  return poolContext(quietly(() => parseSalaryCsv(fixture("dk-nfl.csv"))), c);
+}
+
+const ids = (lineup) => lineup.map(p => p.id);
+const countIn = (lineups, id) => lineups.filter(L => L.lineup.some(p => p.id === id)).length;
+
+module.exports = { FIXTURES, fixture, quietly, nflSlate, ids, countIn };
@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const STORE = fs.mkdtempSync(path.join(os.tmpdir(), "fantasy-sim-store-"));
+process.env.STORE_DIR = STORE;
+process.env.NFLVERSE_DIR = path.join(STORE, "nflverse");
+process.env.NFLVERSE_OFFLINE = "1";
+const { app } = require("../server");
+const { fixture, quietly } = require("./helpers");
+
+const ADMIN = { "x-admin-token": process.env.ADMIN_TOKEN || "Truetrenddfs4u!", "content-type": "application/json" };
+let server, base, slateId;
+test.before(async () => {
+  await new Promise(resolve => { server = app.listen(0, "127.0.0.1", () => { base = `http://127.0.0.1:${server.address().port}`; resolve(); }); });
+  slateId = (await quietly(() => call("POST", "/api/slates", { name: "Jobs", csv: fixture("dk-nfl.csv") }))).body.id;
+});
+test.after(() => { server.close(); fs.rmSync(STORE, { recursive: true, force: true }); });
+
+const call = async (method, url, body) => {
+  const r = await fetch(base + url, { method, headers: ADMIN, ...(body ? { body: JSON.stringify(body) } : {}) });
+  return { status: r.status, body: await r.json() };
+};
+const startJob = (constraints) => call("POST", "/api/jobs/optimize", { constraints: { slateId, seed: 3, save: false, ...constraints } });
+// poll GET /api/jobs/:id until `until(job)` holds
+async function waitFor(id, until){
+  for (;;) {
+    const { body } = await call("GET", `/api/jobs/${id}`);
+    if (until(body)) return body;
+    await new Promise(r => setTimeout(r, 50));
+  }
+}
+const finished = (job) => Boolean(job.finishedAt);
+
+test("POST /api/jobs/optimize queues a job and answers 202 with its id", async () => {
+  const r = await startJob({ numLineups: 3 });
+  assert.equal(r.status, 202);
+  assert.match(r.body.jobId, /^[0-9a-f]{12}$/);
+  const job = await waitFor(r.body.jobId, finished);
+  assert.equal(job.status, "done");
+  assert.equal(job.stopReason, "complete");
+  assert.equal(job.lineups.length, 3);
+  assert.equal(job.result.count, 3);
+});
+
+test("DELETE /api/jobs/:id cancels a running job and keeps its partial lineups", async () => {
+  const { body } = await startJob({ numLineups: 150, minDiff: 3, timeLimitMs: 60000 });
+  await waitFor(body.jobId, job => job.found >= 2);
+  const del = await call("DELETE", `/api/jobs/${body.jobId}`);
+  assert.equal(del.status, 200);
+  const job = await waitFor(body.jobId, finished);
+  assert.equal(job.status, "cancelled");
+  assert.equal(job.stopReason, "cancelled");
+  assert.ok(job.lineups.length >= 2 && job.lineups.length < 150, `${job.lineups.length} lineups`);
+});
+
+test("timeLimitMs stops a job with stopReason timeLimit", async () => {
+  const { body } = await startJob({ numLineups: 150, minDiff: 3, timeLimitMs: 300 });
+  const job = await waitFor(body.jobId, finished);
+  assert.equal(job.status, "done");
+  assert.equal(job.stopReason, "timeLimit");
+  assert.ok(job.lineups.length < 150);
+  assert.equal(job.result.stopReason, "timeLimit");
+});
+
+test("an unreachable minDiff ends the job as exhausted", async () => {
+  // 9 roster slots: no two lineups can differ by more than 18 players
+  const { body } = await startJob({ numLineups: 3, minDiff: 19, triesPerLineup: 20 });
+  const job = await waitFor(body.jobId, finished);
+  assert.equal(job.status, "done");
+  assert.equal(job.stopReason, "exhausted");
+  assert.equal(job.lineups.length, 1);
+});
+
+test("the events stream sends a status snapshot and a final done", async () => {
+  const { body } = await startJob({ numLineups: 2 });
+  const r = await fetch(`${base}/api/jobs/${body.jobId}/events`);
+  assert.match(r.headers.get("content-type"), /text\/event-stream/);
+  const events = (await r.text()).split("\n\n").filter(Boolean).map(chunk => {
+    const [, event] = chunk.match(/^event: (\w+)/m);
+    const [, data] = chunk.match(/^data: (.*)$/m);
+    return { event, data: JSON.parse(data) };
+  });
+  assert.equal(events[0].event, "status");
+  assert.equal(events[0].data.id, body.jobId);
+  const done = events.at(-1);
+  assert.equal(done.event, "done");
+  assert.equal(done.data.status, "done");
+  assert.equal(done.data.found, 2);
+});
+
+test("a finished job reports the min exposures it missed", async () => {
+  const { body } = await startJob({ numLineups: 2, minExposure: { "BUF QB1": 100, "KC QB2": 100 } });
+  const { result } = await waitFor(body.jobId, finished);
+  assert.equal(result.exposureShortfalls.length, 1);
+  const [miss] = result.exposureShortfalls;
+  assert.ok(["BUF QB1", "KC QB2"].includes(miss.name));
+  assert.equal(miss.target, 2);
+  assert.ok(miss.lineups < 2);
+});
+
+test("unknown jobs are a 404", async () => {
+  assert.equal((await call("GET", "/api/jobs/nope")).status, 404);
+  assert.equal((await call("DELETE", "/api/jobs/nope")).status, 404);
+});
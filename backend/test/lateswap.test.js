@@ -0,0 +1,29 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { solveLineupsExact, lateSwapLineup, withSeed } = require("../server");
+const { nflSlate } = require("./helpers");
+
+const { pool, roster } = nflSlate();
+const slotIndex = (name) => roster.slots.findIndex(s => s.name === name);
+
+test("late swap lists only players who left or joined", () => {
+  const [best] = solveLineupsExact(pool, roster, { count: 1, stack: false });
+  // same players with the WRs in reverse slot order, and one WR ruled out
+  const old = [...best.lineup];
+  const wr = ["WR1", "WR2", "WR3"].map(slotIndex);
+  [old[wr[0]], old[wr[2]]] = [old[wr[2]], old[wr[0]]];
+  const out = old[wr[1]];
+  const available = pool.filter(p => p.id !== out.id);
+
+  for (const seed of [1, 2, 3]) {
+    const res = withSeed(seed, () => lateSwapLineup(old, available, roster, { now: 0, stack: false }));
+    const before = new Set(old.map(p => p.id));
+    const after = new Set(res.lineup.map(p => p.id));
+    const left = old.filter(p => !after.has(p.id)).map(p => p.name).sort();
+    const joined = res.lineup.filter(p => !before.has(p.id)).map(p => p.name).sort();
+    assert.ok(left.includes(out.name));
+    assert.deepEqual(res.swaps.map(s => s.out).sort(), left);
+    assert.deepEqual(res.swaps.map(s => s.in).sort(), joined);
+    for (const s of res.swaps) assert.equal(res.lineup[slotIndex(s.slot)].name, s.in);
+  }
+});
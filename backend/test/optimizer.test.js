@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { generateLineups, solveLineupsExact, exposureShortfalls, withSeed } = require("../server");
+const { nflSlate, ids, countIn } = require("./helpers");
+
+const { pool, roster } = nflSlate();
+const greedy = (opts) => withSeed(7, () => generateLineups(pool, roster, { stack: false, ...opts }));
+const exact = (opts) => solveLineupsExact(pool, roster, { stack: false, ...opts });
+const byName = (name) => pool.find(p => p.name === name);
+
+function assertValid(L){
+  assert.equal(L.lineup.length, roster.slots.length);
+  assert.equal(new Set(ids(L.lineup)).size, roster.slots.length, "a player appears twice");
+  assert.ok(L.lineup.reduce((s, p) => s + p.salary, 0) <= roster.cap, "over the salary cap");
+  L.lineup.forEach((p, si) => assert.ok(roster.slots[si].allow.includes(p.pos), `${p.pos} in ${roster.slots[si].name}`));
+}
+
+test("greedy and exact build valid lineups", () => {
+  for (const L of [...greedy({ count: 5 }), ...exact({ count: 3 })]) assertValid(L);
+});
+
+// greedy's totalProj carries its noise, so compare the players' projections
+const projOf = (L) => L.lineup.reduce((s, p) => s + p.proj, 0);
+
+test("exact solver is at least as good as greedy", () => {
+  const [best] = exact({ count: 1 });
+  for (const L of greedy({ count: 3 })) assert.ok(projOf(best) >= projOf(L) - 1e-6);
+});
+
+test("locked players are in every lineup", () => {
+  const lock = byName("BUF RB1");
+  for (const solve of [greedy, exact]) {
+    const out = solve({ count: 3, locks: [lock.name] });
+    assert.equal(out.length, 3);
+    for (const L of out) assert.ok(ids(L.lineup).includes(lock.id));
+  }
+});
+
+test("excluded players never appear", () => {
+  const [first] = exact({ count: 1 });
+  const out = [...greedy({ count: 5, excludes: ids(first.lineup) }), ...exact({ count: 2, excludes: ids(first.lineup) })];
+  assert.ok(out.length);
+  for (const L of out) for (const p of L.lineup) assert.ok(!ids(first.lineup).includes(p.id));
+});
+
+test("unknown or conflicting locks are rejected", () => {
+  assert.throws(() => greedy({ count: 1, locks: ["Nobody"] }), /no player "Nobody"/);
+  assert.throws(() => exact({ count: 1, locks: ["BUF RB1"], excludes: ["BUF RB1"] }), /also excluded/);
+});
+
+test("max exposure caps a player's share of the lineups", () => {
+  const [first] = exact({ count: 1 });
+  const star = first.lineup.find(p => p.pos !== "DST");
+  const out = exact({ count: 4, maxExposure: { [star.id]: 50 } });
+  assert.equal(out.length, 4);
+  assert.equal(countIn(out, star.id), 2);
+});
+
+test("a small non-zero max exposure still allows one lineup", () => {
+  const [first] = exact({ count: 1 });
+  const star = first.lineup.find(p => p.pos !== "DST");
+  const out = exact({ count: 3, maxExposure: { [star.id]: 20 } });
+  assert.equal(countIn(out, star.id), 1);
+  assert.equal(countIn(exact({ count: 3, maxExposure: { [star.id]: 0 } }), star.id), 0);
+});
+
+test("min exposure forces a player into their share", () => {
+  const [first] = exact({ count: 1 });
+  const spare = pool.find(p => p.pos === "WR" && p.proj > 5 && !ids(first.lineup).includes(p.id));
+  for (const solve of [greedy, exact]) {
+    const out = solve({ count: 4, minExposure: { [spare.id]: 50 } });
+    assert.ok(countIn(out, spare.id) >= 2, `${solve === exact ? "exact" : "greedy"}: ${countIn(out, spare.id)} of ${out.length}`);
+  }
+});
+
+test("min exposures that can't all be met are reported, not dropped silently", () => {
+  // one QB slot: two QBs at 100% can't both make every lineup
+  const [a, b] = pool.filter(p => p.pos === "QB");
+  const minExposure = { [a.id]: 100, [b.id]: 100 };
+  const out = greedy({ count: 4, minExposure });
+  assert.equal(out.length, 4);
+  const short = exposureShortfalls(out, pool, minExposure);
+  assert.equal(countIn(out, a.id) + countIn(out, b.id), 4);
+  assert.deepEqual(short.map(s => s.id).sort(), [a.id, b.id].filter(id => countIn(out, id) < 4).sort());
+  for (const s of short) assert.deepEqual([s.lineups, s.target, s.minExposure], [countIn(out, s.id), 4, 100]);
+  assert.deepEqual(exposureShortfalls(out, pool, { [a.id]: countIn(out, a.id) * 25 }), []);
+});
+
+test("greedy keeps salary back for distinct players in the open slots", () => {
+  // one cheap player per position; any five of the $8,500 players bust the cap, so the
+  // cheap QB has to be taken even though the cheap RB/WR can't cover every RB/WR/FLEX slot
+  const tight = [];
+  const add = (pos, salary, proj) => tight.push({ id: String(tight.length + 1), name: `${pos}${tight.length + 1}`, team: `T${tight.length + 1}`, pos, salary, proj });
+  for (const [pos, n] of [["QB", 4], ["RB", 6], ["WR", 8], ["TE", 3], ["DST", 2]]) {
+    add(pos, 2500, 1);
+    for (let i = 0; i < n; i++) add(pos, 8500, 20 + i);
+  }
+  const [best] = solveLineupsExact(tight, roster, { count: 1, stack: false });
+  assert.ok(best, "the exact solver finds a lineup");
+  const out = withSeed(3, () => generateLineups(tight, roster, { count: 3, stack: false }));
+  assert.ok(out.length > 0, "greedy built no lineups");
+  for (const L of out) assertValid(L);
+});
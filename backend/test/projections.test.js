@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const STORE = fs.mkdtempSync(path.join(os.tmpdir(), "fantasy-sim-store-"));
+process.env.STORE_DIR = STORE;
+process.env.NFLVERSE_DIR = path.join(STORE, "nflverse");
+process.env.NFLVERSE_OFFLINE = "1";
+const { app } = require("../server");
+const { fixture, quietly } = require("./helpers");
+
+const ADMIN = { "x-admin-token": process.env.ADMIN_TOKEN || "Truetrenddfs4u!", "content-type": "application/json" };
+let server, base;
+test.before(async () => {
+  await new Promise(resolve => { server = app.listen(0, "127.0.0.1", () => { base = `http://127.0.0.1:${server.address().port}`; resolve(); }); });
+  await loadSalaries(fixture("dk-nfl.csv"));
+});
+test.after(() => { server.close(); fs.rmSync(STORE, { recursive: true, force: true }); });
+
+const call = async (method, url, body) => {
+  const r = await fetch(base + url, { method, headers: ADMIN, ...(body ? { body: JSON.stringify(body) } : {}) });
+  return { status: r.status, body: await r.json() };
+};
+const loadSalaries = (csv) => quietly(() => call("POST", "/api/admin/dk", { csv }));
+const importRows = (body) => call("POST", "/api/admin/projections", body);
+const player = async (id) => (await call("GET", "/api/players")).body.players.find(p => p.id === id);
+
+test("rows match by ID and replace the site projection", async () => {
+  const { status, body } = await importRows({ source: "ids", rows: [{ id: "30000003", proj: 20, ceiling: 31 }] });
+  assert.equal(status, 200);
+  assert.deepEqual([body.source, body.matched, body.unmatched], ["ids", 1, []]);
+  const rb = await player("30000003");
+  assert.deepEqual([rb.proj, rb.ceiling, rb.baseProj, rb.projSources], [20, 31, 14.59, ["ids"]]);
+  await call("DELETE", "/api/admin/projections/ids");
+  assert.equal((await player("30000003")).proj, 14.59);
+});
+
+test("CSV rows match by name, team and position, allowing a close spelling", async () => {
+  const csv = "Player,Tm,Position,FPTS\nKc Wr-2,KC,WR,9\nkc wr3,kc,WR/FLEX,11\n";
+  const { body } = await importRows({ source: "names", csv });
+  assert.equal(body.matched, 2);
+  assert.equal((await player("30000008")).proj, 9);
+  assert.equal((await player("30000009")).proj, 11);
+  await call("DELETE", "/api/admin/projections/names");
+});
+
+test("rows that don't match one player are reported with a reason", async () => {
+  const rows = [
+    { name: "Nobody Here", team: "KC", pos: "WR", proj: 5 },
+    { name: "KC RB", team: "KC", pos: "RB", proj: 5 },
+    { id: "99999999", proj: 5 },
+    { name: "KC WR1" },
+    { name: "KC WR1", team: "BUF", proj: 5 }
+  ];
+  const { body } = await importRows({ source: "misses", rows });
+  assert.equal(body.matched, 0);
+  assert.deepEqual(body.unmatched.map(u => [u.row, u.reason.replace(/:.*/, "")]), [
+    [1, "no matching player"], [2, "ambiguous"], [3, "no player with ID 99999999"], [4, "no projection values"], [5, "no matching player"]
+  ]);
+  await call("DELETE", "/api/admin/projections/misses");
+});
+
+test("sources blend by weight, with the site projection at siteWeight", async () => {
+  await importRows({ source: "a", weight: 1, rows: [{ id: "30000005", proj: 20 }] });
+  await importRows({ source: "b", weight: 3, rows: [{ id: "30000005", proj: 12 }] });
+  assert.equal((await player("30000005")).proj, 14);
+  await importRows({ siteWeight: 1 });
+  // (20*1 + 12*3 + 15.1*1) / 5
+  const rb = await player("30000005");
+  assert.deepEqual([rb.proj, rb.projSources], [14.22, ["a", "b", "site"]]);
+  await importRows({ source: "b", weight: 0 });
+  assert.equal((await player("30000005")).proj, 17.55);
+  await importRows({ siteWeight: 0 });
+  await call("DELETE", "/api/admin/projections/a");
+  await call("DELETE", "/api/admin/projections/b");
+  assert.equal((await player("30000005")).proj, 15.1);
+});
+
+test("overrides survive a salary re-upload and are counted apart from clears", async () => {
+  const set = await importRows({ overrides: [{ id: "30000007", proj: 30 }, { name: "KC WR4", team: "KC", ownership: 40 }] });
+  assert.deepEqual([set.body.overridesApplied, set.body.overridesCleared], [2, 0]);
+
+  // a new salary file: new salary for KC WR1, same player
+  await loadSalaries(fixture("dk-nfl.csv").replace("KC WR1,30000007,WR/FLEX,5100", "KC WR1,30000007,WR/FLEX,6100"));
+  const wr = await player("30000007");
+  assert.deepEqual([wr.salary, wr.proj, wr.projSources], [6100, 30, ["site", "override"]]);
+  assert.equal((await player("30000010")).ownership, 40);
+
+  const cleared = await importRows({ overrides: [{ id: "30000007" }, { id: "30000008" }] });
+  assert.deepEqual([cleared.body.overridesApplied, cleared.body.overridesCleared], [0, 1]);
+  assert.equal((await player("30000007")).proj, 16.34);
+  assert.deepEqual(cleared.body.overrides.map(o => o.key), ["kc wr4|KC|WR"]);
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { generateLineups, solveLineupsExact, resolveRules, withSeed } = require("../server");
+const { nflSlate } = require("./helpers");
+
+const { pool, roster } = nflSlate();
+const GAME_TOTALS = { "BUF@KC": 51.5, "CHI@MIN": 41, "GB@DET": 49, "LAR@SF": 44.5, "NE@MIA": 38, "PHI@DAL": 46 };
+const rulesOf = (rules, totals) => resolveRules(rules, pool, roster, totals);
+const solvers = {
+  greedy: (rules) => withSeed(5, () => generateLineups(pool, roster, { count: 4, stack: false, rules })),
+  exact: (rules) => solveLineupsExact(pool, roster, { count: 3, stack: false, rules })
+};
+const count = (L, fn) => L.lineup.filter(fn).length;
+
+for (const [name, solve] of Object.entries(solvers)) {
+  test(`${name}: hard atMost / ifThen / never rules hold in every lineup`, () => {
+    const out = solve(rulesOf([
+      { type: "atMost", count: 0, teams: ["BUF"], positions: ["RB"] },
+      { type: "ifThen", if: { positions: ["QB"], teams: ["KC"] }, then: { teams: ["KC"], positions: ["WR", "TE"] }, count: 2 },
+      { type: "never", a: { positions: ["DST"] }, b: { positions: ["RB"] }, sameTeam: true }
+    ]));
+    assert.ok(out.length);
+    for (const L of out) {
+      assert.equal(count(L, p => p.team === "BUF" && p.pos === "RB"), 0);
+      if (L.lineup.some(p => p.team === "KC" && p.pos === "QB")) assert.ok(count(L, p => p.team === "KC" && ["WR", "TE"].includes(p.pos)) >= 2);
+      const dst = L.lineup.find(p => p.pos === "DST");
+      assert.equal(count(L, p => p.pos === "RB" && p.team === dst.team), 0);
+    }
+  });
+
+  test(`${name}: at least 2 players from games with a total over 48`, () => {
+    const out = solve(rulesOf([{ type: "atLeast", count: 2, minGameTotal: 48.01 }], { gameTotals: GAME_TOTALS }));
+    assert.ok(out.length);
+    for (const L of out) assert.ok(count(L, p => GAME_TOTALS[p.game] > 48) >= 2);
+  });
+
+  test(`${name}: hard atLeast / ifThen rules hold for low-value players`, () => {
+    // the slate's lowest-projected QBs, RBs and WRs
+    const worst = (pos, k) => pool.filter(p => p.pos === pos).sort((a, b) => a.proj - b.proj).slice(0, k).map(p => p.id);
+    const [rbs, qbs, wrs] = [worst("RB", 6), worst("QB", 3), worst("WR", 8)];
+    const out = solve(rulesOf([
+      { type: "atLeast", count: 2, players: rbs },
+      { type: "atLeast", count: 1, players: qbs },
+      { type: "ifThen", if: { players: qbs }, then: { players: wrs }, count: 2 }
+    ]));
+    assert.ok(out.length);
+    for (const L of out) {
+      assert.ok(count(L, p => rbs.includes(p.id)) >= 2);
+      assert.equal(count(L, p => qbs.includes(p.id)), 1);
+      assert.ok(count(L, p => wrs.includes(p.id)) >= 2);
+    }
+  });
+
+  test(`${name}: broken soft rules are reported, not enforced`, () => {
+    const out = solve(rulesOf([{ type: "atMost", count: 0, positions: ["QB"], soft: true, penalty: 0, name: "no QB" }]));
+    assert.ok(out.length);
+    for (const L of out) assert.deepEqual(L.ruleViolations, [{ rule: 0, name: "no QB", penalty: 0 }]);
+  });
+}
+
+test("exact solver pays a soft penalty only when it is worth it", () => {
+  const rule = (penalty) => [{ type: "atLeast", count: 1, teams: ["NE"], positions: ["TE"], soft: true, penalty }];
+  const [cheap] = solvers.exact(rulesOf(rule(0.01)));
+  const [dear] = solvers.exact(rulesOf(rule(100)));
+  assert.equal(cheap.ruleViolations.length, 1);
+  assert.deepEqual(dear.ruleViolations, []);
+  assert.equal(count(dear, p => p.team === "NE" && p.pos === "TE"), 1);
+});
+
+test("invalid rules are rejected with every error", () => {
+  assert.throws(() => rulesOf({ type: "atMost" }), /rules must be an array/);
+  assert.throws(() => rulesOf([
+    { type: "sometimes" },
+    { type: "atMost", count: 1, players: ["Nobody"] },
+    { type: "atMost", count: 1, teams: ["XYZ"] },
+    { type: "never", a: "KC QB1" }
+  ]), (e) => {
+    for (const part of ["rules[0].type must be one of", 'rules[1]: no player "Nobody"', 'rules[2]: no team "XYZ"', "rules[3].b: expected a selector"])
+      assert.ok(e.message.includes(part), `${part} in ${e.message}`);
+    return true;
+  });
+});
+
+test("game-total selectors need totals for every game", () => {
+  assert.throws(() => rulesOf([{ type: "atLeast", count: 2, minGameTotal: 48 }]), /minGameTotal \/ maxGameTotal need constraints.gameTotals/);
+  assert.throws(() => rulesOf([{ type: "atLeast", count: 2, minGameTotal: 48 }], { gameTotals: { "BUF@KC": 51.5 } }), /gameTotals has no total for .*CHI@MIN/);
+  assert.throws(() => rulesOf([{ type: "atLeast", count: 2, total: 48 }]), /unsupported selector field total/);
+  const [r] = rulesOf([{ type: "atMost", count: 1, positions: ["QB"], minTeamTotal: 24 }], { teamTotals: Object.fromEntries([...new Set(pool.map(p => p.team))].map((t, i) => [t, 20 + i])) });
+  assert.ok(r.group.size > 0 && r.group.size < pool.filter(p => p.pos === "QB").length);
+});
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const STORE = fs.mkdtempSync(path.join(os.tmpdir(), "fantasy-sim-store-"));
+process.env.STORE_DIR = STORE;
+process.env.NFLVERSE_DIR = path.join(STORE, "nflverse");
+process.env.NFLVERSE_OFFLINE = "1";
+const { app } = require("../server");
+const { fixture, quietly } = require("./helpers");
+
+const ADMIN = { "x-admin-token": process.env.ADMIN_TOKEN || "Truetrenddfs4u!", "content-type": "application/json" };
+let server, base, slateId;
+test.before(async () => {
+  await new Promise(resolve => { server = app.listen(0, "127.0.0.1", () => { base = `http://127.0.0.1:${server.address().port}`; resolve(); }); });
+  slateId = (await quietly(() => call("POST", "/api/slates", { name: "Runs", csv: fixture("dk-nfl.csv") }))).body.id;
+});
+test.after(() => { server.close(); fs.rmSync(STORE, { recursive: true, force: true }); });
+
+const call = async (method, url, body) => {
+  const r = await fetch(base + url, { method, headers: ADMIN, ...(body ? { body: JSON.stringify(body) } : {}) });
+  return { status: r.status, body: await r.json() };
+};
+const optimize = (constraints) => call("POST", "/api/lineups/optimize", { constraints: { slateId, numLineups: 4, save: false, ...constraints } });
+const lineupIds = (reply) => reply.lineups.map(L => L.lineup.map(p => p.id));
+
+test("the same seed builds the same lineups", async () => {
+  const a = await optimize({ seed: 11 });
+  const b = await optimize({ seed: 11 });
+  assert.equal(a.status, 200);
+  assert.equal(a.body.seed, 11);
+  assert.notEqual(a.body.runId, b.body.runId);
+  assert.deepEqual(lineupIds(b.body), lineupIds(a.body));
+  const other = await optimize({ seed: 12 });
+  assert.notDeepEqual(lineupIds(other.body), lineupIds(a.body));
+});
+
+test("a run without a seed records one and reruns identically", async () => {
+  const { body: first } = await optimize({});
+  assert.ok(first.seed !== undefined);
+  const run = await call("GET", `/api/runs/${first.runId}`);
+  assert.equal(run.body.seed, first.seed);
+
+  const rerun = await call("POST", `/api/runs/${first.runId}/rerun`);
+  assert.equal(rerun.status, 200);
+  assert.equal(rerun.body.identical, true);
+  assert.equal(rerun.body.rerunOf, first.runId);
+  assert.deepEqual(lineupIds(rerun.body), lineupIds(first));
+});
+
+test("/api/runs/diff reports per-player exposure deltas", async () => {
+  const { body: a } = await optimize({ seed: 5 });
+  const [top] = a.lineups[0].lineup;
+  const { body: b } = await optimize({ seed: 5, excludes: [top.id] });
+
+  const same = await call("GET", `/api/runs/diff?a=${a.runId}&b=${a.runId}`);
+  assert.equal(same.body.sharedLineups, 4);
+  assert.ok(same.body.players.every(p => p.delta === 0));
+
+  const { status, body: diff } = await call("GET", `/api/runs/diff?a=${a.runId}&b=${b.runId}`);
+  assert.equal(status, 200);
+  assert.equal(diff.samePool, true);
+  const row = diff.players.find(p => p.id === top.id);
+  const share = 100 * a.lineups.filter(L => L.lineup.some(p => p.id === top.id)).length / a.lineups.length;
+  assert.deepEqual([row.a, row.b, row.delta], [share, 0, -share]);
+  // rows are sorted by the size of the change
+  assert.ok(Math.abs(diff.players[0].delta) >= Math.abs(diff.players.at(-1).delta));
+
+  assert.equal((await call("GET", `/api/runs/diff?a=${a.runId}&b=999999`)).status, 404);
+});
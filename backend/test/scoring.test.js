@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getScoring, normScoring, offensePoints, dstPoints } = require("../server");
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} != ${b}`);
+const WR = { receptions: "8", receiving_yards: "120", receiving_tds: "1" };
+const QB = { passing_yards: "310", passing_tds: "2", interceptions: "1", rushing_yards: "12" };
+
+test("DK scores PPR with yardage bonuses", () => {
+  close(offensePoints(WR, getScoring("DK")), 8 + 12 + 6 + 3);
+  close(offensePoints(QB, getScoring("dk")), 12.4 + 8 - 1 + 1.2 + 3);
+});
+
+test("FanDuel / Yahoo are half PPR without bonuses", () => {
+  for (const id of ["FD", "YAHOO", "HALF_PPR"]) close(offensePoints(WR, getScoring(id)), 4 + 12 + 6);
+});
+
+test("DST points use the points-allowed tiers", () => {
+  const dk = getScoring("DK");
+  close(dstPoints({ defense_sacks: "3", defense_interceptions: "1", points_allowed: "10" }, dk), 3 + 2 + 4);
+  close(dstPoints({ points_allowed: "0" }, dk), 10);
+  close(dstPoints({ points_allowed: "35" }, dk), -4);
+});
+
+test("custom systems start from a base and are validated", () => {
+  const { id, system } = normScoring({ id: "league-6pt", base: "FD", offense: { passTd: 6 }, dst: { pointsAllowed: [{ max: 10, pts: 5 }, { pts: 0 }] } });
+  assert.equal(id, "LEAGUE-6PT");
+  close(offensePoints(QB, system), 12.4 + 12 - 1 + 1.2);
+  close(dstPoints({ points_allowed: "7" }, system), 5);
+  assert.throws(() => normScoring({ id: "DK" }), /built-in/);
+  assert.throws(() => normScoring({ id: "x", offense: { yards: 1 } }), /Unknown offense stat "yards"/);
+  assert.throws(() => normScoring({ id: "x", dst: { pointsAllowed: [{ max: 10, pts: 1 }, { max: 5, pts: 0 }] } }), /increasing max/);
+  assert.throws(() => getScoring("nope"), /Unknown scoring system "nope"/);
+});
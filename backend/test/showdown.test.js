@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSalaryCsv, poolContext, generateLineups, solveLineupsExact, withSeed } = require("../server");
+const { fixture, quietly } = require("./helpers");
+
+// DK NFL showdown slate: BUF@KC, one CPT row and one FLEX row per player
+const parsed = quietly(() => parseSalaryCsv(fixture("dk-nfl-showdown.csv")));
+const slate = (c = {}) => poolContext(parsed, c);
+const playerProj = (L) => L.lineup.reduce((a, p) => a + p.proj, 0);
+const solvers = {
+  greedy: (ctx, count = 5) => withSeed(4, () => generateLineups(ctx.pool, ctx.roster, { count })),
+  exact: (ctx, count = 3) => solveLineupsExact(ctx.pool, ctx.roster, { count })
+};
+
+test("CPT and FLEX rows parse into one player with captain id and salary", () => {
+  assert.equal(parsed.mode, "showdown");
+  assert.equal(parsed.players.length, 22);
+  const qb = parsed.players.find(p => p.name === "KC QB1");
+  assert.equal(qb.id, "40000002");
+  assert.equal(qb.cptId, "40000001");
+  assert.equal(qb.salary, 2200);
+  assert.equal(qb.cptSalary, 3300);
+});
+
+test("showdown pool has a CPT entry per player at 1.5x salary and points", () => {
+  const { pool } = slate();
+  assert.equal(pool.length, parsed.players.length * 2);
+  for (const p of parsed.players) {
+    const cpt = pool.find(x => x.pos === "CPT" && x.playerKey === p.id);
+    assert.equal(cpt.id, p.cptId);
+    assert.equal(cpt.rosterPos, p.pos);
+    assert.equal(cpt.salary, p.cptSalary);
+    assert.equal(cpt.salary, Math.round(p.salary * 1.5 / 100) * 100);
+    assert.ok(Math.abs(cpt.proj - p.proj * 1.5) < 0.01);
+  }
+});
+
+for (const [name, solve] of Object.entries(solvers)) {
+  test(`${name}: one captain, no player as both CPT and FLEX, both teams used`, () => {
+    const out = solve(slate());
+    assert.ok(out.length);
+    for (const L of out) {
+      assert.equal(L.lineup.length, 6);
+      assert.equal(L.lineup.filter(p => p.pos === "CPT").length, 1);
+      const keys = L.lineup.map(p => p.playerKey);
+      assert.equal(new Set(keys).size, keys.length, "player used twice");
+      assert.ok(L.usedSalary <= 50000);
+      assert.deepEqual(new Set(L.lineup.map(p => p.team)), new Set(["BUF", "KC"]));
+    }
+  });
+
+  test(`${name}: captainStack puts FLEX teammates with the captain`, () => {
+    const out = solve(slate({ captainStack: 3 }));
+    assert.ok(out.length);
+    for (const L of out) {
+      const cpt = L.lineup.find(p => p.pos === "CPT");
+      assert.ok(L.lineup.filter(p => p.pos !== "CPT" && p.team === cpt.team).length >= 3);
+    }
+  });
+}
+
+test("greedy showdown lineups come close to the exact optimum", () => {
+  const ctx = slate();
+  const [best] = solvers.exact(ctx, 1);
+  const greedy = solvers.greedy(ctx, 5);
+  const top = Math.max(...greedy.map(playerProj));
+  // multi-position FLEX candidates must be ranked by value, not by position order
+  assert.ok(top >= playerProj(best) * 0.95, `greedy ${top.toFixed(2)} vs exact ${playerProj(best).toFixed(2)}`);
+});
@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const STORE = fs.mkdtempSync(path.join(os.tmpdir(), "fantasy-sim-store-"));
+process.env.STORE_DIR = STORE;
+process.env.NFLVERSE_DIR = path.join(STORE, "nflverse");
+process.env.NFLVERSE_OFFLINE = "1";
+const { app, simulateContest, samplePlayerScores, solveLineupsExact, withSeed } = require("../server");
+const { fixture, quietly, nflSlate } = require("./helpers");
+
+const { pool, roster } = nflSlate();
+const lineups = solveLineupsExact(pool, roster, { count: 3, stack: false }).map(L => L.lineup);
+const CASH = { id: "CASH50", entryFee: 1, prizeStructure: "50/50" };
+const GPP = { id: "GPP10", entryFee: 10, prizeStructure: "Top-heavy" };
+const simulate = (contest, opts) => withSeed(21, () => simulateContest(lineups, pool, roster, contest, { sims: 300, fieldPool: 30, ...opts }));
+
+function pearson(xs, ys){
+  const mean = (v) => v.reduce((a, b) => a + b, 0) / v.length;
+  const mx = mean(xs), my = mean(ys);
+  let sxy = 0, sxx = 0, syy = 0;
+  xs.forEach((x, i) => { sxy += (x - mx) * (ys[i] - my); sxx += (x - mx) ** 2; syy += (ys[i] - my) ** 2; });
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+test("seeded simulations repeat and keep win <= cash <= 1", () => {
+  const out = simulate(CASH);
+  assert.deepEqual(simulate(CASH), out);
+  assert.equal(out.results.length, lineups.length);
+  for (const r of [...out.results, ...simulate(GPP, { fieldSize: 200 }).results]) {
+    assert.ok(r.winRate >= 0 && r.winRate <= r.cashRate && r.cashRate <= 1, JSON.stringify(r));
+    assert.ok(r.finish.p10 <= r.finish.p50 && r.finish.p50 <= r.finish.p90);
+  }
+});
+
+test("expected payout and ROI follow the entry fee and prize structure", () => {
+  // 50/50: 100 entries x $1 less 10% rake, split evenly over the top 50
+  const cash = simulate(CASH);
+  assert.deepEqual([cash.fieldSize, cash.prizePool, cash.paidPlaces], [100, 90, 50]);
+  for (const r of cash.results) {
+    assert.ok(Math.abs(r.expectedPayout - r.cashRate * 1.8) < 0.01);
+    assert.ok(Math.abs(r.roi - (r.expectedPayout - 1)) < 0.01);
+  }
+  // top-heavy: 15% rake, top 20% paid at least 2x the fee
+  const gpp = simulate(GPP, { fieldSize: 200 });
+  assert.deepEqual([gpp.prizePool, gpp.paidPlaces], [1700, 40]);
+  for (const r of gpp.results) {
+    assert.ok(r.expectedPayout >= r.cashRate * 20 - 0.01);
+    assert.ok(Math.abs(r.roi - (r.expectedPayout - 10) / 10) < 0.01);
+  }
+  assert.equal(simulate({ ...CASH, entryFee: 0 }).results[0].roi, null);
+});
+
+test("a QB's score moves with same-team receivers, not the opponent's", () => {
+  const qb = pool.find(p => p.name === "BUF QB1");
+  const mate = pool.find(p => p.name === "BUF WR1");
+  const other = pool.find(p => p.name === "KC WR1");
+  const draws = (correlation) => withSeed(5, () => Array.from({ length: 1500 }, () => samplePlayerScores([qb, mate, other], correlation)));
+  const corr = (list, a, b) => pearson(list.map(s => s.get(a.id)), list.map(s => s.get(b.id)));
+
+  const linked = draws(0.5);
+  assert.ok(corr(linked, qb, mate) > 0.3, `QB/WR ${corr(linked, qb, mate)}`);
+  assert.ok(Math.abs(corr(linked, qb, other)) < 0.1, `QB/opposing WR ${corr(linked, qb, other)}`);
+  assert.ok(Math.abs(corr(draws(0), qb, mate)) < 0.1);
+});
+
+const ADMIN = { "x-admin-token": process.env.ADMIN_TOKEN || "Truetrenddfs4u!", "content-type": "application/json" };
+let server, base, slateId;
+test.before(async () => {
+  await new Promise(resolve => { server = app.listen(0, "127.0.0.1", () => { base = `http://127.0.0.1:${server.address().port}`; resolve(); }); });
+  slateId = (await quietly(() => call("POST", "/api/slates", { name: "Sim", csv: fixture("dk-nfl.csv") }))).body.id;
+});
+test.after(() => { server.close(); fs.rmSync(STORE, { recursive: true, force: true }); });
+
+const call = async (method, url, body) => {
+  const r = await fetch(base + url, { method, headers: ADMIN, ...(body ? { body: JSON.stringify(body) } : {}) });
+  return { status: r.status, body: await r.json() };
+};
+const simulateApi = (body) => call("POST", "/api/simulate", { slateId, contestId: "CASH50", sims: 200, seed: 4, ...body });
+
+test("/api/simulate runs the lineups of a finished job", async () => {
+  const { body: job } = await call("POST", "/api/jobs/optimize", { constraints: { slateId, numLineups: 2, seed: 1, save: false } });
+  for (let j = job; !j.finishedAt; await new Promise(r => setTimeout(r, 50))) j = (await call("GET", `/api/jobs/${job.jobId}`)).body;
+  const r = await simulateApi({ jobId: job.jobId });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.results.length, 2);
+  assert.equal(r.body.contest.id, "CASH50");
+  assert.deepEqual((await simulateApi({ jobId: job.jobId })).body.results, r.body.results);
+});
+
+test("/api/simulate rejects unknown or unfinished jobs and unknown contests", async () => {
+  const unknown = await simulateApi({ jobId: "nope" });
+  assert.equal(unknown.status, 404);
+  assert.match(unknown.body.error, /Unknown job "nope"/);
+
+  const { body: job } = await call("POST", "/api/jobs/optimize", { constraints: { slateId, numLineups: 150, minDiff: 3, timeLimitMs: 60000, save: false } });
+  const busy = await simulateApi({ jobId: job.jobId });
+  assert.equal(busy.status, 409);
+  await call("DELETE", `/api/jobs/${job.jobId}`);
+
+  const contest = await simulateApi({ contestId: "NOPE", lineups: [lineups[0].map(p => p.id)] });
+  assert.equal(contest.status, 400);
+  assert.match(contest.body.error, /Unknown contest "NOPE"/);
+  assert.deepEqual(contest.body.contests, ["CASH50", "GPP10"]);
+});
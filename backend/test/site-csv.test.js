@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSalaryCsv, poolContext, generateLineups, solveLineupsExact, withSeed } = require("../server");
+const { fixture, quietly } = require("./helpers");
+
+// FanDuel and Yahoo exports of the dk-nfl.csv slate: "$" salaries, D / DEF defenses,
+// KC RB1 questionable and BUF WR1 / KC RB4 out
+const sites = {
+  FD: { file: "fd-nfl.csv", cap: 60000, dstSlot: "D", rb1: { id: "120000-30000003", salary: 5900 } },
+  YAHOO: { file: "yahoo-nfl.csv", cap: 200, dstSlot: "DEF", rb1: { id: "nfl.p.30000003", salary: 20 } }
+};
+
+for (const [site, want] of Object.entries(sites)) {
+  const parsed = quietly(() => parseSalaryCsv(fixture(want.file)));
+  const ctx = poolContext(parsed, {});
+
+  test(`${site}: site is detected from the CSV headers`, () => {
+    assert.equal(parsed.site, site);
+    assert.equal(parsed.sport, "NFL");
+    assert.equal(parsed.mode, "classic");
+    assert.equal(parsed.players.length, 192);
+    // an explicit site hint reads the same file the same way
+    assert.deepEqual(quietly(() => parseSalaryCsv(fixture(want.file), site)).players, parsed.players);
+  });
+
+  test(`${site}: names, "$" salaries and injury status`, () => {
+    const rb = parsed.players.find(p => p.name === "KC RB1");
+    assert.deepEqual({ id: rb.id, team: rb.team, pos: rb.pos, salary: rb.salary, status: rb.status, game: rb.game, opp: rb.opp },
+      { ...want.rb1, team: "KC", pos: "RB", status: "Q", game: "BUF@KC", opp: "BUF" });
+    assert.ok(parsed.players.every(p => Number.isInteger(p.salary) && p.salary > 0));
+    assert.deepEqual(ctx.excluded.map(p => p.name).sort(), ["BUF WR1", "KC RB4"]);
+  });
+
+  test(`${site}: ${want.dstSlot} defenses map to DST`, () => {
+    const dst = parsed.players.filter(p => p.pos === "DST");
+    assert.equal(dst.length, 12);
+    assert.ok(dst.every(p => p.name === `${p.team} D/ST`));
+    const slot = ctx.roster.slots.at(-1);
+    assert.deepEqual([slot.name, slot.allow], [want.dstSlot, ["DST"]]);
+  });
+
+  test(`${site}: lineups are built under the ${want.cap} cap`, () => {
+    assert.equal(ctx.roster.cap, want.cap);
+    const greedy = withSeed(1, () => generateLineups(ctx.pool, ctx.roster, { count: 3, stack: false }));
+    const exact = solveLineupsExact(ctx.pool, ctx.roster, { count: 1, stack: false });
+    for (const L of [...greedy, ...exact]) {
+      assert.equal(L.lineup.length, 9);
+      assert.ok(L.usedSalary <= want.cap, `${L.usedSalary} over ${want.cap}`);
+      // the cap binds: the slate's best players cost more than it allows
+      assert.ok(L.usedSalary > want.cap * 0.9, `${L.usedSalary} well under ${want.cap}`);
+    }
+  });
+}
+
+test("header detection needs the site's own columns", () => {
+  const site = (header, row) => quietly(() => parseSalaryCsv(`${header}\n${row}\n`)).site;
+  assert.equal(site("Id,Position,First Name,Last Name,Salary,Team,Injury Indicator", "1,QB,A,B,$7000,KC,"), "FD");
+  assert.equal(site("Id,Position,Nickname,Salary,Team", "1,QB,A B,7000,KC"), "FD");
+  assert.equal(site("ID,First Name,Last Name,Position,Team,Time,Salary,Injury Status", "1,A,B,QB,KC,1:00PM,$30,"), "YAHOO");
+  // First Name + Injury Status without Yahoo's Time column isn't enough
+  assert.equal(site("ID,First Name,Last Name,Position,Team,Salary,Injury Status", "1,A,B,QB,KC,30,"), "DK");
+});
@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// the store location is read when server.js loads; no nflverse fallback for the live pool
+const STORE = fs.mkdtempSync(path.join(os.tmpdir(), "fantasy-sim-store-"));
+process.env.STORE_DIR = STORE;
+process.env.NFLVERSE_DIR = path.join(STORE, "nflverse");
+process.env.NFLVERSE_OFFLINE = "1";
+const { app } = require("../server");
+const { fixture, quietly } = require("./helpers");
+
+const ADMIN = { "x-admin-token": process.env.ADMIN_TOKEN || "Truetrenddfs4u!", "content-type": "application/json" };
+let server, base;
+test.before(() => new Promise(resolve => { server = app.listen(0, "127.0.0.1", () => { base = `http://127.0.0.1:${server.address().port}`; resolve(); }); }));
+test.after(() => { server.close(); fs.rmSync(STORE, { recursive: true, force: true }); });
+
+const call = async (method, url, body) => {
+  const r = await fetch(base + url, { method, headers: ADMIN, ...(body ? { body: JSON.stringify(body) } : {}) });
+  // URL-normalised ids ("..") never reach the routes and get express's HTML 404
+  const text = await r.text();
+  return { status: r.status, body: r.headers.get("content-type")?.includes("json") ? JSON.parse(text) : text };
+};
+
+test("slates are saved under STORE_DIR and read back", async () => {
+  const created = await quietly(() => call("POST", "/api/slates", { name: "Week 1 Main", csv: fixture("dk-nfl.csv") }));
+  assert.equal(created.status, 201);
+  assert.match(created.body.id, /^week-1-main-[0-9a-f]{6}$/);
+  assert.equal(created.body.players, 192);
+  assert.ok(fs.existsSync(path.join(STORE, "slates", created.body.id, "slate.json")));
+
+  const got = await call("GET", `/api/slates/${created.body.id}`);
+  assert.equal(got.status, 200);
+  assert.equal(got.body.players.length, 192);
+});
+
+test("slate ids can't reach outside the store", async () => {
+  const outside = path.join(STORE, "keep");
+  fs.mkdirSync(outside, { recursive: true });
+  for (const id of ["..", "..%2Fkeep", "%2E%2E", "..%2F..%2Fetc", "Week-1", ".hidden"]) {
+    assert.equal((await call("GET", `/api/slates/${id}`)).status, 404, id);
+    assert.equal((await call("DELETE", `/api/slates/${id}`)).status, 404, id);
+    assert.equal((await call("PUT", `/api/slates/${id}`, { name: "x" })).status, 404, id);
+  }
+  assert.ok(fs.existsSync(outside));
+  assert.ok(fs.existsSync(path.join(STORE, "slates")));
+});
+
+test("optimizing against an unknown slate is a 404", async () => {
+  const r = await call("POST", "/api/lineups/optimize", { slateId: "../slates", constraints: { numLineups: 1 } });
+  assert.equal(r.status, 404);
+});
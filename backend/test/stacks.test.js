@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { generateLineups, solveLineupsExact, resolveStackRules, withSeed } = require("../server");
+const { nflSlate } = require("./helpers");
+
+const { pool, roster } = nflSlate();
+const stackOf = (req) => resolveStackRules(roster, req, pool, { maxPerTeam: roster.defaultMaxPerTeam });
+const solvers = {
+  greedy: (stack, count = 4) => withSeed(9, () => generateLineups(pool, roster, { count, stack })),
+  exact: (stack, count = 3) => solveLineupsExact(pool, roster, { count, stack })
+};
+
+for (const [name, solve] of Object.entries(solvers)) {
+  test(`${name}: QB stack with a bring-back`, () => {
+    const out = solve(stackOf({ qb: { min: 2, max: 2 }, bringBack: 1 }));
+    assert.ok(out.length);
+    for (const L of out) {
+      const qb = L.lineup.find(p => p.pos === "QB");
+      const catchers = L.lineup.filter(p => p.team === qb.team && ["WR", "TE"].includes(p.pos));
+      assert.equal(catchers.length, 2);
+      assert.ok(L.lineup.some(p => p.team === qb.opp && ["RB", "WR", "TE"].includes(p.pos)), "no bring-back");
+      assert.equal(L.stackTeam, qb.team);
+    }
+  });
+
+  test(`${name}: stack teams spread by maxTeamExposure`, () => {
+    const out = solve(stackOf({ maxTeamExposure: 50 }), 4);
+    assert.equal(out.length, 4);
+    const byTeam = {};
+    for (const L of out) byTeam[L.stackTeam] = (byTeam[L.stackTeam] || 0) + 1;
+    for (const n of Object.values(byTeam)) assert.ok(n <= 2, JSON.stringify(byTeam));
+  });
+}
+
+test("stack rules the roster can't support are rejected", () => {
+  assert.equal(stackOf(false), null);
+  assert.throws(() => stackOf({ qb: null, bringBack: 1 }), /bringBack needs a qb stack/);
+  assert.throws(() => stackOf({ qb: { min: 3 } }), /exceeds maxPerTeam 3/);
+  assert.throws(() => stackOf({ qb: { min: 1, positions: ["K"] } }), /K not on this roster/);
+});